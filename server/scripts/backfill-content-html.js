@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// backfill-content-html.js - One-off script rendering contentHtml and reading stats for older posts
+
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+const { MONGODB_URI } = require('../src/config/env');
+
+async function backfillContentHtml() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to database');
+
+    const updated = await Post.backfillContentHtml();
+    console.log(`📝 Rendered content for ${updated} post(s)`);
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('❌ Error backfilling post content:', error.message);
+    process.exit(1);
+  }
+}
+
+// Only run if this script is executed directly
+if (require.main === module) {
+  backfillContentHtml();
+}
+
+module.exports = { backfillContentHtml };
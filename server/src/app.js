@@ -6,14 +6,25 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 
-const { CORS_ORIGIN, RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX_REQUESTS, NODE_ENV } = require('./config/env');
+const {
+  CORS_ORIGIN,
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_MAX_REQUESTS,
+  NODE_ENV,
+  UPLOAD_DIR,
+  UPLOAD_BASE_URL,
+} = require('./config/env');
 const { globalErrorHandler, notFound } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
 const userRoutes = require('./routes/users');
+const feedRoutes = require('./routes/feeds');
+const sitemapRoutes = require('./routes/sitemap');
 
 // Create Express app
 const app = express();
@@ -82,11 +93,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded files stored on local disk (images are embedded from the client origin)
+app.use(UPLOAD_BASE_URL, express.static(UPLOAD_DIR, {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+}));
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
 app.use('/api/users', userRoutes);
 
+// Syndication feeds and sitemaps
+app.use('/feeds', feedRoutes);
+app.use(sitemapRoutes);
+
 // API documentation route
 app.get('/api', (req, res) => {
   res.status(200).json({
@@ -96,6 +118,8 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       posts: '/api/posts',
+      categories: '/api/categories',
+      tags: '/api/tags',
       users: '/api/users',
     },
     documentation: 'https://github.com/your-repo/api-docs',
@@ -1,17 +1,50 @@
 // config/env.js - Environment configuration
 
+const path = require('path');
+
 require('dotenv').config();
 
+// Relative directories resolve against the server root, not the working directory
+const SERVER_ROOT = path.resolve(__dirname, '..', '..');
+
 module.exports = {
   NODE_ENV: process.env.NODE_ENV || 'development',
   PORT: process.env.PORT || 5000,
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-app',
   MONGODB_TEST_URI: process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/mern-test',
   JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '7d',
+  JWT_EXPIRE: process.env.JWT_EXPIRE || '15m',
+  REFRESH_TOKEN_TTL_MS: parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
   BCRYPT_SALT_ROUNDS: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12,
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
+  VIEW_DEDUP_WINDOW_MS: parseInt(process.env.VIEW_DEDUP_WINDOW_MS) || 30 * 60 * 1000, // 30 minutes
+  COMMENT_EDIT_WINDOW_MS: parseInt(process.env.COMMENT_EDIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  SCHEDULER_INTERVAL_MS: parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000, // 1 minute
+  POST_REVISION_LIMIT: parseInt(process.env.POST_REVISION_LIMIT) || 50,
+  TRASH_RETENTION_MS: parseInt(process.env.TRASH_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+  TRASH_PURGE_INTERVAL_MS: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  SITE_URL: process.env.SITE_URL || 'http://localhost:3000',
+  SITE_NAME: process.env.SITE_NAME || 'MERN Blog',
+  SITEMAP_URL_LIMIT: parseInt(process.env.SITEMAP_URL_LIMIT) || 50000, // sitemaps.org per-file maximum
+  UPLOAD_DIR: path.resolve(SERVER_ROOT, process.env.UPLOAD_DIR || 'uploads'),
+  UPLOAD_BASE_URL: process.env.UPLOAD_BASE_URL || '/uploads',
+  UPLOAD_MAX_BYTES: parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024, // 5 MB
+  MAIL_FROM: process.env.MAIL_FROM || 'MERN Blog <no-reply@localhost>',
+  MAIL_OUTBOX_DIR: path.resolve(SERVER_ROOT, process.env.MAIL_OUTBOX_DIR || 'outbox'),
+  LOGIN_ATTEMPT_WINDOW_MS: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  LOGIN_BACKOFF_AFTER: parseInt(process.env.LOGIN_BACKOFF_AFTER) || 3,
+  LOGIN_BACKOFF_BASE_MS: parseInt(process.env.LOGIN_BACKOFF_BASE_MS) || 1000, // doubled after each further failure
+  LOGIN_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+  LOGIN_IP_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50,
+  LOGIN_LOCKOUT_MS: parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000, // 15 minutes
+  EMAIL_VERIFICATION_EXPIRE: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+  EMAIL_VERIFICATION_RESEND_INTERVAL_MS: parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL_MS) || 60 * 1000, // 1 minute
+  // Actions unverified users may not perform (posts, comments, likes, uploads); set empty to allow everything
+  EMAIL_VERIFICATION_REQUIRED_FOR: (process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? 'posts,comments,likes,uploads')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean),
 };
@@ -1,9 +1,147 @@
 // controllers/authController.js - Authentication controller
 
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const {
+  generateToken,
+  generateResetToken,
+  verifyResetToken,
+  generateVerificationToken,
+  verifyVerificationToken,
+} = require('../utils/auth');
+const { passwordResetUrl, emailVerificationUrl } = require('../utils/siteUrls');
+const { sendMail } = require('../mail');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const {
+  SITE_NAME,
+  EMAIL_VERIFICATION_EXPIRE,
+  EMAIL_VERIFICATION_RESEND_INTERVAL_MS,
+  LOGIN_BACKOFF_AFTER,
+  LOGIN_BACKOFF_BASE_MS,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_IP_LOCKOUT_THRESHOLD,
+} = require('../config/env');
+
+// Same response whether or not the address belongs to an account, so it cannot be probed
+const FORGOT_PASSWORD_MESSAGE = 'If an account with that email exists, a password reset link has been sent';
+
+/**
+ * Issue a short-lived access token and a refresh token starting a new token family
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const issueTokens = async (user, req) => {
+  const { token: refreshToken } = await RefreshToken.issue(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  return {
+    token: generateToken(user),
+    refreshToken,
+  };
+};
+
+/**
+ * Invalidate every access and refresh token issued to a user so far
+ * @param {String} userId - User id
+ * @returns {Promise<Number>} Number of refresh tokens revoked
+ */
+const revokeAllSessions = async (userId) => {
+  // JWT iat has whole-second precision, so the cut-off is truncated to match
+  const cutoff = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+  await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: cutoff } });
+  return RefreshToken.revokeAllForUser(userId);
+};
+
+/**
+ * Email a password reset link to a user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Transport result
+ */
+const sendPasswordResetEmail = (user) => {
+  const link = passwordResetUrl(generateResetToken(user._id));
+
+  return sendMail({
+    to: user.email,
+    subject: `Reset your ${SITE_NAME} password`,
+    text: [
+      `Hi ${user.firstName || user.username},`,
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      '',
+      link,
+      '',
+      'The link expires in 1 hour and can only be used once.',
+      'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Email an address verification link to a user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Transport result
+ */
+const sendVerificationEmail = (user) => {
+  const link = emailVerificationUrl(generateVerificationToken(user));
+
+  return sendMail({
+    to: user.email,
+    subject: `Confirm your email address for ${SITE_NAME}`,
+    text: [
+      `Hi ${user.firstName || user.username},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      '',
+      link,
+      '',
+      `The link expires in ${EMAIL_VERIFICATION_EXPIRE}.`,
+      `If you did not create a ${SITE_NAME} account, you can ignore this email.`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Record a failed login against the account and the client IP, logging any lockout
+ * Only accounts back off progressively; an IP is just locked once it reaches its higher threshold,
+ * so users sharing an address are not slowed down by each other's typos
+ * @param {String} email - Normalized email the login was attempted for
+ * @param {Object} req - Express request object
+ */
+const recordLoginFailure = async (email, req) => {
+  const scopes = [
+    {
+      scope: 'account',
+      key: LoginAttempt.accountKey(email),
+      policy: { backoffAfter: LOGIN_BACKOFF_AFTER, baseMs: LOGIN_BACKOFF_BASE_MS, lockoutThreshold: LOGIN_LOCKOUT_THRESHOLD },
+    },
+    {
+      scope: 'ip',
+      key: LoginAttempt.ipKey(req.ip),
+      policy: { backoffAfter: Infinity, baseMs: LOGIN_BACKOFF_BASE_MS, lockoutThreshold: LOGIN_IP_LOCKOUT_THRESHOLD },
+    },
+  ];
+
+  for (const { scope, key, policy } of scopes) {
+    const attempt = await LoginAttempt.recordFailure(key, policy);
+
+    if (attempt.locked) {
+      logger.warn('Login locked out after repeated failures', {
+        scope,
+        email,
+        ip: req.ip,
+        failures: attempt.failures,
+        lockedUntil: attempt.blockedUntil,
+      });
+    }
+  }
+};
 
 /**
  * Register new user
@@ -28,10 +166,19 @@ const register = asyncHandler(async (req, res) => {
     password,
     firstName,
     lastName,
+    emailVerified: false,
+    verificationEmailSentAt: new Date(),
   });
 
-  // Generate token
-  const token = generateToken(user);
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    // Registration still succeeds; the user can request another email
+    logger.error('Verification email failed', { userId: user._id, error: error.message });
+  }
+
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   // Update last login
   await user.updateLastLogin();
@@ -43,10 +190,12 @@ const register = asyncHandler(async (req, res) => {
     message: 'User registered successfully',
     data: {
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
@@ -62,27 +211,41 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Find user with password field
-  const user = await User.findOne({ email }).select('+password');
+  // Refuse attempts while the account or IP is backing off or locked out
+  const blocking = await LoginAttempt.findBlocking([LoginAttempt.accountKey(email), LoginAttempt.ipKey(req.ip)]);
 
-  if (!user) {
-    throw new AppError('Invalid credentials', 401);
+  if (blocking) {
+    const retryAfter = Math.max(1, Math.ceil((blocking.blockedUntil.getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    throw new AppError(
+      blocking.locked
+        ? 'Too many failed login attempts. Login is temporarily locked'
+        : 'Too many failed login attempts. Please wait before trying again',
+      429
+    );
   }
 
+  // Find user with password field
+  const user = await User.findOne({ email }).select('+password');
+
   // Check password
-  const isPasswordValid = await user.comparePassword(password);
+  const isPasswordValid = user ? await user.comparePassword(password) : false;
 
   if (!isPasswordValid) {
+    await recordLoginFailure(email, req);
     throw new AppError('Invalid credentials', 401);
   }
 
+  // Successful login clears the account's failure count; the IP count is left to expire
+  await LoginAttempt.deleteOne({ key: LoginAttempt.accountKey(email) });
+
   // Check if account is active
   if (!user.isActive) {
     throw new AppError('Account is deactivated', 401);
   }
 
-  // Generate token
-  const token = generateToken(user);
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   // Update last login
   await user.updateLastLogin();
@@ -94,10 +257,12 @@ const login = asyncHandler(async (req, res) => {
     message: 'Login successful',
     data: {
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
@@ -108,6 +273,44 @@ const login = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const result = await RefreshToken.rotate(req.body.refreshToken, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  if (result.status === 'reused') {
+    logger.warn('Refresh token reuse detected - token family revoked', {
+      userId: result.doc.user,
+      family: result.doc.family,
+      ip: req.ip,
+    });
+  }
+
+  if (result.status !== 'rotated') {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(result.doc.user);
+
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(result.doc.family);
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      token: generateToken(user),
+      refreshToken: result.token,
+    },
+  });
+});
+
 /**
  * Get current user profile
  */
@@ -120,6 +323,7 @@ const getMe = asyncHandler(async (req, res) => {
         id: req.user._id,
         username: req.user.username,
         email: req.user.email,
+        emailVerified: req.user.emailVerified,
         firstName: req.user.firstName,
         lastName: req.user.lastName,
         fullName: req.user.fullName,
@@ -137,7 +341,7 @@ const getMe = asyncHandler(async (req, res) => {
  * Update user profile
  */
 const updateProfile = asyncHandler(async (req, res) => {
-  const allowedFields = ['firstName', 'lastName', 'profileImage'];
+  const allowedFields = ['firstName', 'lastName'];
   const updates = {};
 
   // Filter allowed fields
@@ -166,6 +370,7 @@ const updateProfile = asyncHandler(async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
@@ -178,9 +383,12 @@ const updateProfile = asyncHandler(async (req, res) => {
 });
 
 /**
- * Logout user (for client-side token cleanup)
+ * Logout user: revoke the current access token and the session's refresh token family
  */
 const logout = asyncHandler(async (req, res) => {
+  await RevokedToken.revoke(req.auth);
+  await RefreshToken.revokeByToken(req.body.refreshToken, req.user._id);
+
   logger.info('User logged out', { userId: req.user._id });
 
   res.status(200).json({
@@ -189,10 +397,179 @@ const logout = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Log out everywhere: invalidate every access and refresh token issued to the user so far
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const refreshTokensRevoked = await revokeAllSessions(req.user._id);
+  // Tokens issued earlier in the same second pass the cut-off; the caller's own is revoked explicitly
+  await RevokedToken.revoke(req.auth);
+
+  logger.info('User logged out everywhere', { userId: req.user._id, refreshTokensRevoked });
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out from all sessions',
+  });
+});
+
+/**
+ * Request a password reset link
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
+
+  if (user && user.isActive) {
+    logger.info('Password reset requested', { userId: user._id });
+
+    // Not awaited, so neither the response nor its timing reveals that the account exists
+    Promise.resolve()
+      .then(() => sendPasswordResetEmail(user))
+      .catch((error) => {
+        logger.error('Password reset email failed', { userId: user._id, error: error.message });
+      });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: FORGOT_PASSWORD_MESSAGE,
+  });
+});
+
+/**
+ * Set a new password using a reset token, then sign out every existing session
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  let payload;
+  try {
+    payload = verifyResetToken(token);
+  } catch (error) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  const user = await User.findById(payload.userId);
+
+  // A completed reset (or log out everywhere) also retires links issued before it
+  const issuedBeforeCutoff = user && user.tokensValidAfter &&
+    payload.iat * 1000 < user.tokensValidAfter.getTime();
+
+  if (!user || !user.isActive || issuedBeforeCutoff) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  // Consume the token; fails when it has already been used
+  const claimed = await RevokedToken.revoke({ jti: payload.jti, id: user._id, exp: payload.exp });
+  if (!claimed) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  user.password = password;
+  await user.save();
+
+  const refreshTokensRevoked = await revokeAllSessions(user._id);
+  // Resetting proves ownership of the account, so a login lockout no longer applies
+  await LoginAttempt.deleteOne({ key: LoginAttempt.accountKey(user.email) });
+
+  logger.info('Password reset completed', { userId: user._id, refreshTokensRevoked });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password',
+  });
+});
+
+/**
+ * Confirm an email address using a verification token
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  let payload;
+  try {
+    payload = verifyVerificationToken(req.body.token);
+  } catch (error) {
+    throw new AppError('Invalid or expired verification token', 400);
+  }
+
+  const user = await User.findById(payload.userId);
+
+  if (!user || !user.isActive || user.email !== payload.email) {
+    throw new AppError('Invalid or expired verification token', 400);
+  }
+
+  // Verifying twice is harmless, so the link is not single-use
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    logger.info('Email verified', { userId: user._id });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        emailVerified: user.emailVerified,
+      },
+    },
+  });
+});
+
+/**
+ * Send a new verification email, at most once per EMAIL_VERIFICATION_RESEND_INTERVAL_MS
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+
+  const now = Date.now();
+
+  // Claim the send slot atomically so parallel requests cannot both send
+  const claim = await User.updateOne(
+    {
+      _id: req.user._id,
+      emailVerified: false,
+      $or: [
+        { verificationEmailSentAt: null },
+        { verificationEmailSentAt: { $lte: new Date(now - EMAIL_VERIFICATION_RESEND_INTERVAL_MS) } },
+      ],
+    },
+    { $set: { verificationEmailSentAt: new Date(now) } }
+  );
+
+  if (claim.modifiedCount === 0) {
+    const lastSent = req.user.verificationEmailSentAt ? req.user.verificationEmailSentAt.getTime() : now;
+    const retryAfter = Math.max(1, Math.ceil((lastSent + EMAIL_VERIFICATION_RESEND_INTERVAL_MS - now) / 1000));
+
+    res.set('Retry-After', String(retryAfter));
+    throw new AppError('Please wait before requesting another verification email', 429);
+  }
+
+  await sendVerificationEmail(req.user);
+
+  logger.info('Verification email resent', { userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent',
+  });
+});
+
 module.exports = {
   register,
   login,
+  refresh,
   getMe,
   updateProfile,
   logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
 };
@@ -0,0 +1,188 @@
+// controllers/categoriesController.js - Categories controller
+
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+
+// Fields a client may set when creating or updating a category
+const WRITABLE_FIELDS = ['name', 'slug', 'description', 'parent'];
+
+/**
+ * Pick writable fields from request body
+ * @param {Object} body - Request body
+ * @returns {Object} Filtered fields
+ */
+const pickWritableFields = (body) => {
+  const fields = {};
+
+  Object.keys(body).forEach(key => {
+    if (WRITABLE_FIELDS.includes(key)) {
+      fields[key] = body[key];
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Count published posts per category (trashed posts excluded)
+ * @returns {Promise<Map>} Map of category id to published post count
+ */
+const getPublishedPostCounts = async () => {
+  const counts = await Post.aggregate([
+    { $match: buildVisibilityFilter(null) },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * Ensure a parent category can be assigned
+ * @param {String|null} categoryId - Category being saved (null when creating)
+ * @param {String|null} parentId - Proposed parent id
+ */
+const assertValidParent = async (categoryId, parentId) => {
+  if (!parentId) {
+    return;
+  }
+
+  const isValid = await Category.isValidParent(categoryId, parentId);
+  if (!isValid) {
+    throw new AppError('Parent category does not exist or would create a cycle', 400);
+  }
+};
+
+/**
+ * Get all categories with published post counts
+ */
+const getAllCategories = asyncHandler(async (req, res) => {
+  const [categories, postCounts] = await Promise.all([
+    Category.find().sort('name'),
+    getPublishedPostCounts(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Categories retrieved successfully',
+    data: {
+      categories: categories.map(category => ({
+        ...category.toJSON(),
+        postCount: postCounts.get(String(category._id)) || 0,
+      })),
+    },
+  });
+});
+
+/**
+ * Get single category (category is loaded into req.resource by loadResource)
+ */
+const getCategory = asyncHandler(async (req, res) => {
+  const category = req.resource;
+  const postCount = await Post.countDocuments({ ...buildVisibilityFilter(null), category: category._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Category retrieved successfully',
+    data: {
+      category: {
+        ...category.toJSON(),
+        postCount,
+      },
+    },
+  });
+});
+
+/**
+ * Create new category
+ */
+const createCategory = asyncHandler(async (req, res) => {
+  const fields = pickWritableFields(req.body);
+  await assertValidParent(null, fields.parent);
+
+  const category = await Category.create(fields);
+
+  logger.info('Category created', { categoryId: category._id, userId: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: { category },
+  });
+});
+
+/**
+ * Update category (category is loaded into req.resource by loadResource)
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  const category = req.resource;
+  const updates = pickWritableFields(req.body);
+
+  if (updates.parent !== undefined) {
+    await assertValidParent(category._id, updates.parent);
+  }
+
+  category.set(updates);
+  await category.save();
+
+  logger.info('Category updated', { categoryId: category._id, userId: req.user._id, updates: Object.keys(updates) });
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully',
+    data: { category },
+  });
+});
+
+/**
+ * Delete category (category is loaded into req.resource by loadResource)
+ * Posts must be moved to another category via ?reassignTo=<id> if any exist
+ */
+const deleteCategory = asyncHandler(async (req, res) => {
+  const category = req.resource;
+  const { reassignTo } = req.query;
+  const postCount = await Post.countDocuments({ category: category._id });
+
+  if (postCount > 0) {
+    if (!reassignTo) {
+      throw new AppError(`Category still has ${postCount} post(s); provide reassignTo to move them`, 409);
+    }
+
+    if (reassignTo === category._id.toString()) {
+      throw new AppError('Cannot reassign posts to the category being deleted', 400);
+    }
+
+    const target = await Category.findById(reassignTo);
+    if (!target) {
+      throw new AppError('Reassignment category not found', 404);
+    }
+
+    await Post.updateMany({ category: category._id }, { $set: { category: target._id } });
+  }
+
+  // Keep the tree connected by moving children up one level
+  await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent } });
+  await category.deleteOne();
+
+  logger.info('Category deleted', {
+    categoryId: category._id,
+    userId: req.user._id,
+    reassignedPosts: postCount,
+    reassignTo,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully',
+  });
+});
+
+module.exports = {
+  getAllCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
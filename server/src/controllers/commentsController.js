@@ -0,0 +1,148 @@
+// controllers/commentsController.js - Comments controller
+
+const Comment = require('../models/Comment');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { COMMENT_EDIT_WINDOW_MS } = require('../config/env');
+const logger = require('../utils/logger');
+
+const AUTHOR_FIELDS = 'username firstName lastName';
+
+/**
+ * Arrange a flat, chronologically sorted list of comments into reply trees
+ * @param {Array} comments - Comment documents
+ * @returns {Array} Top-level comments, each with a nested replies array
+ */
+const buildCommentTree = (comments) => {
+  const nodes = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    nodes.set(String(comment._id), { ...comment.toJSON(), replies: [] });
+  });
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Ensure the loaded comment belongs to the post in the URL
+ * @param {Object} req - Express request object
+ * @returns {Object} Comment document
+ */
+const getCommentForPost = (req) => {
+  const comment = req.resource;
+
+  if (comment.post.toString() !== req.params.id) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  return comment;
+};
+
+/**
+ * Get comments for a post as a tree
+ */
+const getComments = asyncHandler(async (req, res) => {
+  const comments = await Comment.find({ post: req.params.id })
+    .sort('createdAt')
+    .populate('author', AUTHOR_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comments retrieved successfully',
+    data: {
+      comments: buildCommentTree(comments),
+      total: comments.length,
+    },
+  });
+});
+
+/**
+ * Add a comment or reply to a post (post is loaded into req.resource by loadResource)
+ */
+const createComment = asyncHandler(async (req, res) => {
+  const post = req.resource;
+  const { content, parent } = req.body;
+
+  if (parent) {
+    const parentComment = await Comment.findById(parent).select('post');
+    if (!parentComment || parentComment.post.toString() !== post._id.toString()) {
+      throw new AppError('Parent comment not found on this post', 400);
+    }
+  }
+
+  const comment = await Comment.create({
+    post: post._id,
+    author: req.user._id,
+    content,
+    parent: parent || null,
+  });
+  await comment.populate('author', AUTHOR_FIELDS);
+
+  logger.info('Comment created', { commentId: comment._id, postId: post._id, userId: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment created successfully',
+    data: { comment },
+  });
+});
+
+/**
+ * Edit a comment (comment is loaded into req.resource by loadResource)
+ * Authors may only edit within COMMENT_EDIT_WINDOW_MS of posting; admins are exempt
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const comment = getCommentForPost(req);
+
+  const age = Date.now() - comment.createdAt.getTime();
+  if (req.user.role !== 'admin' && age > COMMENT_EDIT_WINDOW_MS) {
+    throw new AppError('Comment can no longer be edited', 403);
+  }
+
+  comment.content = req.body.content;
+  comment.editedAt = new Date();
+  await comment.save();
+  await comment.populate('author', AUTHOR_FIELDS);
+
+  logger.info('Comment updated', { commentId: comment._id, userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: { comment },
+  });
+});
+
+/**
+ * Delete a comment and its replies (comment is loaded into req.resource by loadResource)
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const comment = getCommentForPost(req);
+
+  const ids = await Comment.findSubtreeIds(comment._id);
+  await Comment.deleteMany({ _id: { $in: ids } });
+
+  logger.info('Comment deleted', { commentId: comment._id, userId: req.user._id, deletedCount: ids.length });
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment deleted successfully',
+    data: { deletedCount: ids.length },
+  });
+});
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,145 @@
+// controllers/feedsController.js - RSS and Atom feed controller
+
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+const { buildRss, buildAtom } = require('../utils/feed');
+const { postUrl, categoryUrl, tagUrl } = require('../utils/siteUrls');
+const { SITE_URL, SITE_NAME } = require('../config/env');
+
+const FEED_ITEM_LIMIT = 20;
+
+const FEED_FORMATS = {
+  rss: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' },
+};
+
+/**
+ * Build a stable tag: URI identifying a post across slug changes
+ * @param {Object} post - Post document
+ * @returns {String} Entry id
+ */
+const entryId = (post) => {
+  const { hostname } = new URL(SITE_URL);
+  return `tag:${hostname},${post.createdAt.toISOString().slice(0, 10)}:post:${post._id}`;
+};
+
+/**
+ * Map a post to a feed entry
+ * @param {Object} post - Post document with author and category populated
+ * @returns {Object} Feed entry
+ */
+const toFeedItem = (post) => ({
+  id: entryId(post),
+  title: post.title,
+  link: postUrl(post),
+  summary: post.excerpt || '',
+  author: post.author ? post.author.fullName : SITE_NAME,
+  published: post.publishedAt || post.createdAt,
+  updated: post.updatedAt,
+  categories: [post.category && post.category.name, ...post.tags].filter(Boolean),
+});
+
+/**
+ * Send a feed for the given filter, answering 304 when the reader's copy is current
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Feed options { filter, title, description, link }
+ */
+const sendFeed = async (req, res, { filter, title, description, link }) => {
+  const format = FEED_FORMATS[req.params.format];
+
+  const posts = await Post.find({ ...filter, ...buildVisibilityFilter(null) })
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(FEED_ITEM_LIMIT)
+    .select('title slug excerpt author category tags publishedAt createdAt updatedAt')
+    .populate('author', 'username firstName lastName')
+    .populate('category', 'name');
+
+  // A post that was unpublished or trashed still counts, so readers relying on
+  // If-Modified-Since alone notice that it left the feed
+  const departed = await Post.findOne({
+    ...filter,
+    publishedAt: { $lte: new Date() },
+    $nor: [buildVisibilityFilter(null)],
+  })
+    .sort({ updatedAt: -1 })
+    .select('updatedAt');
+
+  const updated = [...posts, ...(departed ? [departed] : [])].reduce(
+    (latest, post) => (post.updatedAt > latest ? post.updatedAt : latest),
+    new Date(0)
+  );
+  const fingerprint = posts.map(post => `${post._id}:${post.updatedAt.getTime()}`).join(',');
+  const etag = crypto.createHash('sha1').update(`${req.originalUrl}|${fingerprint}`).digest('base64url');
+
+  res.set({
+    ETag: `W/"${etag}"`,
+    'Last-Modified': updated.toUTCString(),
+    'Cache-Control': 'public, max-age=300',
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const xml = format.build(
+    { id: selfUrl, title, description, link, selfUrl, updated },
+    posts.map(toFeedItem)
+  );
+
+  res.status(200).type(format.contentType).send(xml);
+};
+
+/**
+ * Feed of all published posts
+ */
+const getPostsFeed = asyncHandler(async (req, res) => {
+  await sendFeed(req, res, {
+    filter: {},
+    title: SITE_NAME,
+    description: `Latest posts from ${SITE_NAME}`,
+    link: SITE_URL,
+  });
+});
+
+/**
+ * Feed of published posts in a category, identified by slug
+ */
+const getCategoryFeed = asyncHandler(async (req, res) => {
+  const category = await Category.findOne({ slug: req.params.slug }).select('name slug');
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  await sendFeed(req, res, {
+    filter: { category: category._id },
+    title: `${SITE_NAME}: ${category.name}`,
+    description: `Latest ${category.name} posts from ${SITE_NAME}`,
+    link: categoryUrl(category),
+  });
+});
+
+/**
+ * Feed of published posts with a tag
+ */
+const getTagFeed = asyncHandler(async (req, res) => {
+  const tag = req.params.tag.toLowerCase();
+
+  await sendFeed(req, res, {
+    filter: { tags: tag },
+    title: `${SITE_NAME}: #${tag}`,
+    description: `Latest posts tagged "${tag}" from ${SITE_NAME}`,
+    link: tagUrl(tag),
+  });
+});
+
+module.exports = {
+  getPostsFeed,
+  getCategoryFeed,
+  getTagFeed,
+};
@@ -0,0 +1,130 @@
+// controllers/imagesController.js - Image upload controller
+
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { storeImage, removeImage } = require('../utils/images');
+const logger = require('../utils/logger');
+
+// Fields holding an image URL and its thumbnail URLs
+const POST_IMAGE_FIELDS = { url: 'featuredImage', thumbnails: 'featuredImageThumbnails' };
+const PROFILE_IMAGE_FIELDS = { url: 'profileImage', thumbnails: 'profileImageThumbnails' };
+
+/**
+ * Store an uploaded image on a document, replacing (and cleaning up) the previous one
+ * @param {Object} doc - Document to update
+ * @param {Object} fields - Field names { url, thumbnails }
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {String} folder - Storage folder
+ * @returns {Promise<Object>} { url, thumbnails }
+ */
+const replaceImage = async (doc, fields, buffer, folder) => {
+  const image = await storeImage(buffer, folder);
+  const previous = doc.get(fields.url);
+
+  doc.set({ [fields.url]: image.url, [fields.thumbnails]: image.thumbnails });
+
+  try {
+    await doc.save();
+  } catch (error) {
+    await removeImage(image.url, folder);
+    throw error;
+  }
+
+  if (previous) {
+    await removeImage(previous, folder);
+  }
+
+  return image;
+};
+
+/**
+ * Clear an image from a document and remove its stored files
+ * @param {Object} doc - Document to update
+ * @param {Object} fields - Field names { url, thumbnails }
+ * @param {String} folder - Storage folder
+ */
+const clearImage = async (doc, fields, folder) => {
+  const previous = doc.get(fields.url);
+
+  doc.set({ [fields.url]: '', [fields.thumbnails]: undefined });
+  await doc.save();
+
+  if (previous) {
+    await removeImage(previous, folder);
+  }
+};
+
+/**
+ * Upload a post's featured image (post is loaded into req.resource by loadResource)
+ */
+const uploadPostImage = asyncHandler(async (req, res) => {
+  const post = req.resource;
+  const image = await replaceImage(post, POST_IMAGE_FIELDS, req.file.buffer, `posts/${post._id}`);
+
+  logger.info('Post image uploaded', { postId: post._id, userId: req.user._id, size: req.file.size });
+
+  res.status(200).json({
+    success: true,
+    message: 'Featured image uploaded successfully',
+    data: {
+      featuredImage: image.url,
+      thumbnails: image.thumbnails,
+    },
+  });
+});
+
+/**
+ * Remove a post's featured image (post is loaded into req.resource by loadResource)
+ */
+const deletePostImage = asyncHandler(async (req, res) => {
+  const post = req.resource;
+  await clearImage(post, POST_IMAGE_FIELDS, `posts/${post._id}`);
+
+  logger.info('Post image removed', { postId: post._id, userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Featured image removed successfully',
+  });
+});
+
+/**
+ * Upload the current user's profile image
+ */
+const uploadProfileImage = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const image = await replaceImage(user, PROFILE_IMAGE_FIELDS, req.file.buffer, `users/${user._id}`);
+
+  logger.info('Profile image uploaded', { userId: user._id, size: req.file.size });
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile image uploaded successfully',
+    data: {
+      profileImage: image.url,
+      thumbnails: image.thumbnails,
+    },
+  });
+});
+
+/**
+ * Remove the current user's profile image
+ */
+const deleteProfileImage = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  await clearImage(user, PROFILE_IMAGE_FIELDS, `users/${user._id}`);
+
+  logger.info('Profile image removed', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile image removed successfully',
+  });
+});
+
+module.exports = {
+  uploadPostImage,
+  deletePostImage,
+  uploadProfileImage,
+  deleteProfileImage,
+};
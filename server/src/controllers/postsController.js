@@ -0,0 +1,421 @@
+// controllers/postsController.js - Posts controller
+
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostRevision = require('../models/PostRevision');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { getViewerKey } = require('../utils/viewer');
+const { buildPostFilter, buildPostSort, canViewPost, assertCategoryExists } = require('../utils/postQuery');
+const { buildSortSpec, buildPageQuery, buildPageResult } = require('../utils/pagination');
+const { getSearchTerms, highlight, buildSnippet } = require('../utils/search');
+const { toPlainText } = require('../utils/markdown');
+const { buildPostMeta } = require('../utils/seo');
+const { TRASH_RETENTION_MS } = require('../config/env');
+
+const DEFAULT_PAGE = 1;
+const DEFAULT_LIMIT = 10;
+const DEFAULT_SORT = '-createdAt';
+const TRASH_SORT = '-deletedAt';
+
+// Fields a client may set when creating or updating a post; the featured image is only set by upload
+const WRITABLE_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'slug',
+  'category',
+  'tags',
+  'status',
+  'publishedAt',
+  'featured',
+  'seoTitle',
+  'seoDescription',
+];
+
+/**
+ * Pick writable fields from request body
+ * @param {Object} body - Request body
+ * @returns {Object} Filtered fields
+ */
+const pickWritableFields = (body) => {
+  const fields = {};
+
+  Object.keys(body).forEach(key => {
+    if (WRITABLE_FIELDS.includes(key)) {
+      fields[key] = body[key];
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Convert a post document to a response object
+ * Adds likedByMe when the request identified a user
+ * @param {Object} post - Post document
+ * @param {Object} user - Authenticated user (optional)
+ * @returns {Object} Serialized post
+ */
+const serializePost = (post, user) => {
+  const data = post.toJSON();
+
+  if (user) {
+    data.likedByMe = post.isLikedBy(user._id);
+  }
+
+  return data;
+};
+
+/**
+ * Add relevance score and highlighted snippets to a serialized search result
+ * @param {Object} data - Serialized post
+ * @param {Object} post - Post document
+ * @param {Array<String>} terms - Search terms
+ * @returns {Object} Serialized post with search metadata
+ */
+const addSearchHighlights = (data, post, terms) => ({
+  ...data,
+  score: post.get('score'),
+  highlights: {
+    title: highlight(post.title, terms),
+    content: buildSnippet(post.contentHtml ? toPlainText(post.contentHtml) : post.content, terms),
+  },
+});
+
+/**
+ * Get all posts, optionally filtered and full-text searched with ?q=
+ * Pass ?facets=true to include tag, category, author and month counts for the filter
+ */
+const getAllPosts = asyncHandler(async (req, res) => {
+  const page = req.query.page || DEFAULT_PAGE;
+  const limit = req.query.limit || DEFAULT_LIMIT;
+  const sort = req.query.sort || DEFAULT_SORT;
+  const { cursor } = req.query;
+  const isSearch = Boolean(req.query.q);
+  const filter = buildPostFilter(req.query, req.user);
+  const pageQuery = buildPageQuery(filter, { page, limit, sort, cursor });
+
+  let query = Post.find(pageQuery.filter);
+  if (isSearch) {
+    query = query.select({ score: { $meta: 'textScore' } });
+  }
+
+  const [docs, total, facets] = await Promise.all([
+    query
+      .sort(buildPostSort(sort, isSearch))
+      .skip(pageQuery.skip)
+      .limit(pageQuery.limit)
+      .populate('author', 'username firstName lastName')
+      .populate('commentCount'),
+    cursor ? null : Post.countDocuments(filter),
+    req.query.facets ? Post.facetCounts(filter) : null,
+  ]);
+
+  const { items: posts, pagination } = buildPageResult(docs, { page, limit, sort, cursor }, total);
+  const terms = isSearch ? getSearchTerms(req.query.q) : [];
+
+  res.status(200).json({
+    success: true,
+    message: 'Posts retrieved successfully',
+    data: {
+      posts: posts.map(post => {
+        const data = serializePost(post, req.user);
+        return isSearch ? addSearchHighlights(data, post, terms) : data;
+      }),
+      pagination,
+      ...(facets && { facets }),
+    },
+  });
+});
+
+/**
+ * Load a post for display with its author and comment count
+ * @param {Object} filter - Filter identifying the post
+ * @returns {Promise<Object|null>} Post document
+ */
+const findPostForDisplay = (filter) => {
+  return Post.findOne(filter)
+    .populate('author', 'username firstName lastName')
+    .populate('commentCount');
+};
+
+/**
+ * Count the view and send a single post response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} post - Post document loaded with findPostForDisplay
+ */
+const sendPost = async (req, res, post) => {
+  const data = serializePost(post, req.user);
+
+  // Count at most one view per viewer per window, never the author's own views
+  const authorId = post.author && (post.author._id || post.author);
+  const isAuthor = req.user && authorId && authorId.toString() === req.user._id.toString();
+  if (!isAuthor && await PostView.register(post._id, getViewerKey(req))) {
+    data.views = await post.incrementViews();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Post retrieved successfully',
+    data: { post: data },
+  });
+};
+
+/**
+ * Get single post
+ */
+const getPost = asyncHandler(async (req, res) => {
+  const post = await findPostForDisplay({ _id: req.params.id });
+
+  // Hidden posts are reported as missing so their existence is not leaked
+  if (!post || !canViewPost(post, req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  await sendPost(req, res, post);
+});
+
+/**
+ * Get single post by slug
+ * Retired slugs resolve to a redirect payload pointing at the current slug
+ */
+const getPostBySlug = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const post = await findPostForDisplay({ slug });
+
+  if (post && canViewPost(post, req.user)) {
+    await sendPost(req, res, post);
+    return;
+  }
+
+  const moved = await Post.findOne({ previousSlugs: slug }).select('slug status author deletedAt');
+
+  if (!moved || !canViewPost(moved, req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Post has moved permanently',
+    data: {
+      redirect: {
+        statusCode: 301,
+        slug: moved.slug,
+        location: `/api/posts/slug/${moved.slug}`,
+      },
+    },
+  });
+});
+
+/**
+ * Create new post
+ */
+const createPost = asyncHandler(async (req, res) => {
+  const fields = pickWritableFields(req.body);
+  await assertCategoryExists(fields.category);
+
+  const post = await Post.create({
+    ...fields,
+    author: req.user._id,
+  });
+
+  logger.info('Post created', { postId: post._id, userId: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Post created successfully',
+    data: { post },
+  });
+});
+
+/**
+ * Update post (post is loaded into req.resource by loadResource)
+ */
+const updatePost = asyncHandler(async (req, res) => {
+  const post = req.resource;
+  const updates = pickWritableFields(req.body);
+
+  if (updates.category) {
+    await assertCategoryExists(updates.category);
+  }
+
+  // Keep the previous version in the revision history
+  await PostRevision.applyWithRevision(post, updates, req.user._id);
+
+  logger.info('Post updated', { postId: post._id, userId: req.user._id, updates: Object.keys(updates) });
+
+  res.status(200).json({
+    success: true,
+    message: 'Post updated successfully',
+    data: { post },
+  });
+});
+
+/**
+ * Move a post to the trash (post is loaded into req.resource by loadResource)
+ * Trashed posts are hidden everywhere and purged by the purgeTrash job after TRASH_RETENTION_MS
+ */
+const deletePost = asyncHandler(async (req, res) => {
+  const post = req.resource;
+  post.deletedAt = new Date();
+  post.deletedBy = req.user._id;
+  await post.save();
+
+  logger.info('Post moved to trash', { postId: post._id, userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Post moved to trash',
+    data: {
+      purgeAfter: new Date(post.deletedAt.getTime() + TRASH_RETENTION_MS),
+    },
+  });
+});
+
+/**
+ * Get trashed posts: the user's own, or every trashed post for admins
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const page = req.query.page || DEFAULT_PAGE;
+  const limit = req.query.limit || DEFAULT_LIMIT;
+  const { cursor } = req.query;
+  const sort = TRASH_SORT;
+
+  const filter = { deletedAt: { $ne: null } };
+  if (req.user.role !== 'admin') {
+    filter.author = req.user._id;
+  }
+
+  const pageQuery = buildPageQuery(filter, { page, limit, sort, cursor });
+  const [docs, total] = await Promise.all([
+    Post.find(pageQuery.filter)
+      .sort(buildSortSpec(sort))
+      .skip(pageQuery.skip)
+      .limit(pageQuery.limit)
+      .populate('author', 'username firstName lastName')
+      .populate('category', 'name slug'),
+    cursor ? null : Post.countDocuments(filter),
+  ]);
+
+  const { items, pagination } = buildPageResult(docs, { page, limit, sort, cursor }, total);
+  const posts = items.map(post => ({
+    ...post.toJSON(),
+    purgeAfter: new Date(post.deletedAt.getTime() + TRASH_RETENTION_MS),
+  }));
+
+  res.status(200).json({
+    success: true,
+    message: 'Trash retrieved successfully',
+    data: { posts, pagination },
+  });
+});
+
+/**
+ * Restore a trashed post (post is loaded into req.resource by loadResource)
+ */
+const restorePost = asyncHandler(async (req, res) => {
+  const post = req.resource;
+
+  if (!post.deletedAt) {
+    throw new AppError('Post is not in the trash', 400);
+  }
+
+  post.deletedAt = null;
+  post.deletedBy = undefined;
+  await post.save();
+
+  logger.info('Post restored from trash', { postId: post._id, userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Post restored successfully',
+    data: { post },
+  });
+});
+
+/**
+ * Like or unlike a post (post is loaded into req.resource by loadResource)
+ */
+const toggleLike = asyncHandler(async (req, res) => {
+  const post = req.resource;
+  const { liked, likeCount } = await post.toggleLike(req.user._id);
+
+  logger.info(liked ? 'Post liked' : 'Post unliked', { postId: post._id, userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: liked ? 'Post liked successfully' : 'Post unliked successfully',
+    data: {
+      liked,
+      likeCount,
+    },
+  });
+});
+
+/**
+ * Get users who liked a post
+ */
+const getLikes = asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id)
+    .select('likes status author deletedAt')
+    .populate('likes.user', 'username firstName lastName');
+
+  if (!post || !canViewPost(post, req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  // Likes of since-deleted users populate to null
+  const likes = post.likes
+    .filter(like => like.user)
+    .map(like => ({
+      user: like.user,
+      likedAt: like.createdAt,
+    }));
+
+  res.status(200).json({
+    success: true,
+    message: 'Likes retrieved successfully',
+    data: {
+      likes,
+      likeCount: likes.length,
+    },
+  });
+});
+
+/**
+ * Get SEO, Open Graph, Twitter card and JSON-LD metadata for a post
+ */
+const getPostMeta = asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id)
+    .select('title slug excerpt seoTitle seoDescription featuredImage tags wordCount status author category publishedAt createdAt updatedAt deletedAt')
+    .populate('author', 'username firstName lastName')
+    .populate('category', 'name slug');
+
+  if (!post || !canViewPost(post, req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  const meta = buildPostMeta(post, { assetBaseUrl: `${req.protocol}://${req.get('host')}` });
+
+  res.status(200).json({
+    success: true,
+    message: 'Post metadata retrieved successfully',
+    data: { meta },
+  });
+});
+
+module.exports = {
+  getAllPosts,
+  getPost,
+  getPostBySlug,
+  createPost,
+  updatePost,
+  deletePost,
+  getTrash,
+  restorePost,
+  toggleLike,
+  getLikes,
+  getPostMeta,
+};
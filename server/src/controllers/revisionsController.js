@@ -0,0 +1,143 @@
+// controllers/revisionsController.js - Post revisions controller
+
+const PostRevision = require('../models/PostRevision');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { diffLines, formatDiff } = require('../utils/diff');
+const { assertCategoryExists } = require('../utils/postQuery');
+const logger = require('../utils/logger');
+
+const EDITOR_FIELDS = 'username firstName lastName';
+
+/**
+ * Convert a snapshot value to diffable text
+ * @param {*} value - Field value
+ * @returns {String} Text representation
+ */
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join('\n');
+  }
+  return String(value);
+};
+
+/**
+ * Load a revision belonging to the post in req.resource
+ * @param {Object} req - Express request object
+ * @param {String} revisionId - Revision id
+ * @returns {Promise<Object>} Revision document
+ */
+const findPostRevision = async (req, revisionId) => {
+  const revision = await PostRevision.findOne({ _id: revisionId, post: req.resource._id })
+    .populate('editor', EDITOR_FIELDS);
+
+  if (!revision) {
+    throw new AppError('Revision not found', 404);
+  }
+
+  return revision;
+};
+
+/**
+ * List revisions of a post, newest first (post is loaded into req.resource by loadResource)
+ */
+const getRevisions = asyncHandler(async (req, res) => {
+  const revisions = await PostRevision.find({ post: req.resource._id })
+    .sort('-version')
+    .select('-snapshot')
+    .populate('editor', EDITOR_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Revisions retrieved successfully',
+    data: { revisions },
+  });
+});
+
+/**
+ * Get a single revision with its snapshot
+ */
+const getRevision = asyncHandler(async (req, res) => {
+  const revision = await findPostRevision(req, req.params.revId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Revision retrieved successfully',
+    data: { revision },
+  });
+});
+
+/**
+ * Diff two revisions (?from=<revId>&to=<revId|current>)
+ */
+const diffRevisions = asyncHandler(async (req, res) => {
+  const { from, to = 'current' } = req.query;
+
+  const fromRevision = await findPostRevision(req, from);
+  const toRevision = to === 'current' ? null : await findPostRevision(req, to);
+  const toSnapshot = toRevision ? toRevision.snapshot : PostRevision.takeSnapshot(req.resource);
+
+  const changes = {};
+  PostRevision.TRACKED_FIELDS.forEach(field => {
+    const oldText = toText(fromRevision.snapshot[field]);
+    const newText = toText(toSnapshot[field]);
+
+    if (oldText !== newText) {
+      changes[field] = formatDiff(diffLines(oldText, newText));
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Revision diff generated successfully',
+    data: {
+      from: fromRevision.version,
+      to: toRevision ? toRevision.version : 'current',
+      changes,
+    },
+  });
+});
+
+/**
+ * Restore a post's content to a revision; the replaced state becomes a new revision
+ * The post's status is left unchanged
+ */
+const restoreRevision = asyncHandler(async (req, res) => {
+  const post = req.resource;
+  const revision = await findPostRevision(req, req.params.revId);
+
+  const restored = {};
+  PostRevision.RESTORABLE_FIELDS.forEach(field => {
+    restored[field] = revision.snapshot[field];
+  });
+
+  // The snapshot's category may have been deleted since the revision was taken
+  if (restored.category && String(restored.category) !== String(post.category)) {
+    await assertCategoryExists(restored.category);
+  }
+
+  const changedFields = await PostRevision.applyWithRevision(post, restored, req.user._id);
+
+  logger.info('Post revision restored', {
+    postId: post._id,
+    revisionId: revision._id,
+    version: revision.version,
+    userId: req.user._id,
+    changedFields,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Revision restored successfully',
+    data: { post },
+  });
+});
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+};
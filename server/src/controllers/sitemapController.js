@@ -0,0 +1,148 @@
+// controllers/sitemapController.js - XML sitemap controller
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+const { buildUrlset, buildSitemapIndex } = require('../utils/sitemap');
+const { postUrl, categoryUrl, authorUrl } = require('../utils/siteUrls');
+const { SITEMAP_URL_LIMIT } = require('../config/env');
+
+/**
+ * Send an XML sitemap document
+ * @param {Object} res - Express response object
+ * @param {String} xml - XML document
+ */
+const sendXml = (res, xml) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.status(200).type('application/xml; charset=utf-8').send(xml);
+};
+
+/**
+ * List published post URLs, newest first
+ * Matches the { status, publishedAt } index so large sitemaps page through it cheaply
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<Array<Object>>} Entries { loc, lastmod }
+ */
+const listPostUrls = async ({ skip = 0, limit = SITEMAP_URL_LIMIT } = {}) => {
+  const posts = await Post.find(buildVisibilityFilter(null))
+    .sort({ publishedAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select('slug updatedAt')
+    .lean();
+
+  return posts.map(post => ({ loc: postUrl(post), lastmod: post.updatedAt }));
+};
+
+/**
+ * Find the latest published post update for each value of a post field
+ * @param {String} field - Post field to group by (category or author)
+ * @returns {Promise<Map>} Map of id string to Date
+ */
+const latestUpdateBy = async (field) => {
+  const groups = await Post.aggregate([
+    { $match: buildVisibilityFilter(null) },
+    { $group: { _id: `$${field}`, lastmod: { $max: '$updatedAt' } } },
+  ]);
+
+  return new Map(groups.map(group => [String(group._id), group.lastmod]));
+};
+
+/**
+ * List category listing pages that contain published posts
+ * @returns {Promise<Array<Object>>} Entries { loc, lastmod }
+ */
+const listCategoryUrls = async () => {
+  const latest = await latestUpdateBy('category');
+  const categories = await Category.find({ _id: { $in: [...latest.keys()] } })
+    .sort('slug')
+    .limit(SITEMAP_URL_LIMIT)
+    .select('slug')
+    .lean();
+
+  return categories.map(category => ({
+    loc: categoryUrl(category),
+    lastmod: latest.get(String(category._id)),
+  }));
+};
+
+/**
+ * List author pages for active users with published posts
+ * @returns {Promise<Array<Object>>} Entries { loc, lastmod }
+ */
+const listAuthorUrls = async () => {
+  const latest = await latestUpdateBy('author');
+  const authors = await User.find({ _id: { $in: [...latest.keys()] }, isActive: true })
+    .sort('username')
+    .limit(SITEMAP_URL_LIMIT)
+    .select('username')
+    .lean();
+
+  return authors.map(author => ({
+    loc: authorUrl(author),
+    lastmod: latest.get(String(author._id)),
+  }));
+};
+
+/**
+ * Sitemap of every public page, or a sitemap index once the URL limit is exceeded
+ */
+const getSitemap = asyncHandler(async (req, res) => {
+  const [postCount, categoryUrls, authorUrls] = await Promise.all([
+    Post.countDocuments(buildVisibilityFilter(null)),
+    listCategoryUrls(),
+    listAuthorUrls(),
+  ]);
+
+  if (postCount + categoryUrls.length + authorUrls.length <= SITEMAP_URL_LIMIT) {
+    const postUrls = await listPostUrls();
+    return sendXml(res, buildUrlset([...postUrls, ...categoryUrls, ...authorUrls]));
+  }
+
+  const base = `${req.protocol}://${req.get('host')}/sitemaps`;
+  const postPages = Math.ceil(postCount / SITEMAP_URL_LIMIT);
+  const sitemaps = Array.from({ length: postPages }, (_, i) => ({ loc: `${base}/posts-${i + 1}.xml` }));
+
+  sendXml(res, buildSitemapIndex([
+    ...sitemaps,
+    { loc: `${base}/categories.xml` },
+    { loc: `${base}/authors.xml` },
+  ]));
+});
+
+/**
+ * One page of published posts, referenced from the sitemap index
+ */
+const getPostsSitemap = asyncHandler(async (req, res) => {
+  const page = parseInt(req.params.page, 10);
+  const urls = await listPostUrls({ skip: (page - 1) * SITEMAP_URL_LIMIT });
+
+  if (page < 1 || (page > 1 && urls.length === 0)) {
+    throw new AppError('Sitemap not found', 404);
+  }
+
+  sendXml(res, buildUrlset(urls));
+});
+
+/**
+ * Category listing pages, referenced from the sitemap index
+ */
+const getCategoriesSitemap = asyncHandler(async (req, res) => {
+  sendXml(res, buildUrlset(await listCategoryUrls()));
+});
+
+/**
+ * Author pages, referenced from the sitemap index
+ */
+const getAuthorsSitemap = asyncHandler(async (req, res) => {
+  sendXml(res, buildUrlset(await listAuthorUrls()));
+});
+
+module.exports = {
+  getSitemap,
+  getPostsSitemap,
+  getCategoriesSitemap,
+  getAuthorsSitemap,
+};
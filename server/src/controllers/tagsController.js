@@ -0,0 +1,110 @@
+// controllers/tagsController.js - Tags controller
+
+const Post = require('../models/Post');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+const { escapeRegExp } = require('../utils/search');
+const logger = require('../utils/logger');
+
+const DEFAULT_TAG_LIMIT = 100;
+const DEFAULT_AUTOCOMPLETE_LIMIT = 10;
+
+/**
+ * Build a case-sensitive prefix pattern (tags are stored lowercase)
+ * @param {String} prefix - Validated, lowercased prefix
+ * @returns {RegExp|undefined} Anchored pattern, or undefined without a prefix
+ */
+const prefixPattern = (prefix) => (prefix ? new RegExp(`^${escapeRegExp(prefix)}`) : undefined);
+
+/**
+ * Get tags with usage counts over the posts the requester may see (for tag clouds)
+ */
+const getTags = asyncHandler(async (req, res) => {
+  const tags = await Post.tagCounts(buildVisibilityFilter(req.user), {
+    match: prefixPattern(req.query.prefix),
+    sort: req.query.sort || 'count',
+    limit: req.query.limit || DEFAULT_TAG_LIMIT,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tags retrieved successfully',
+    data: { tags },
+  });
+});
+
+/**
+ * Suggest existing tags starting with a prefix, most used first (for the editor)
+ */
+const autocompleteTags = asyncHandler(async (req, res) => {
+  if (!req.query.prefix) {
+    throw new AppError('Prefix is required', 400);
+  }
+
+  const tags = await Post.tagCounts(buildVisibilityFilter(req.user), {
+    match: prefixPattern(req.query.prefix),
+    sort: 'count',
+    limit: req.query.limit || DEFAULT_AUTOCOMPLETE_LIMIT,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tag suggestions retrieved successfully',
+    data: { suggestions: tags.map(({ tag }) => tag) },
+  });
+});
+
+/**
+ * Rename a tag on every post
+ */
+const renameTag = asyncHandler(async (req, res) => {
+  const { tag } = req.params;
+  const { name } = req.body;
+
+  if (tag === name) {
+    throw new AppError('New name must differ from the current name', 400);
+  }
+
+  const modifiedCount = await Post.replaceTags([tag], name);
+
+  if (modifiedCount === 0) {
+    throw new AppError('Tag not found', 404);
+  }
+
+  logger.info('Tag renamed', { from: tag, to: name, modifiedCount, adminId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tag renamed successfully',
+    data: { tag: name, modifiedCount },
+  });
+});
+
+/**
+ * Merge several tags into one on every post
+ */
+const mergeTags = asyncHandler(async (req, res) => {
+  const { target } = req.body;
+  const sources = [...new Set(req.body.sources)].filter(source => source !== target);
+
+  if (sources.length === 0) {
+    throw new AppError('At least one source tag must differ from the target', 400);
+  }
+
+  const modifiedCount = await Post.replaceTags(sources, target);
+
+  logger.info('Tags merged', { sources, target, modifiedCount, adminId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tags merged successfully',
+    data: { tag: target, sources, modifiedCount },
+  });
+});
+
+module.exports = {
+  getTags,
+  autocompleteTags,
+  renameTag,
+  mergeTags,
+};
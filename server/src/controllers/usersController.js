@@ -0,0 +1,124 @@
+// controllers/usersController.js - Users controller (admin)
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildSortSpec, buildPageQuery, buildPageResult } = require('../utils/pagination');
+const { removeImage } = require('../utils/images');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE = 1;
+const DEFAULT_LIMIT = 10;
+const DEFAULT_SORT = '-createdAt';
+
+// Fields an admin may change on a user account; the profile image is only set by upload
+const WRITABLE_FIELDS = ['firstName', 'lastName', 'role', 'isActive'];
+
+/**
+ * Get all users
+ */
+const getAllUsers = asyncHandler(async (req, res) => {
+  const page = req.query.page || DEFAULT_PAGE;
+  const limit = req.query.limit || DEFAULT_LIMIT;
+  const sort = req.query.sort || DEFAULT_SORT;
+  const { cursor } = req.query;
+  const pageQuery = buildPageQuery({}, { page, limit, sort, cursor });
+
+  const [docs, total] = await Promise.all([
+    User.find(pageQuery.filter)
+      .sort(buildSortSpec(sort))
+      .skip(pageQuery.skip)
+      .limit(pageQuery.limit),
+    cursor ? null : User.countDocuments(),
+  ]);
+
+  const { items: users, pagination } = buildPageResult(docs, { page, limit, sort, cursor }, total);
+
+  res.status(200).json({
+    success: true,
+    message: 'Users retrieved successfully',
+    data: { users, pagination },
+  });
+});
+
+/**
+ * Get single user (user is loaded into req.resource by loadResource)
+ */
+const getUser = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'User retrieved successfully',
+    data: { user: req.resource },
+  });
+});
+
+/**
+ * Update user (user is loaded into req.resource by loadResource)
+ */
+const updateUser = asyncHandler(async (req, res) => {
+  const user = req.resource;
+  const updates = {};
+
+  Object.keys(req.body).forEach(key => {
+    if (WRITABLE_FIELDS.includes(key)) {
+      updates[key] = req.body[key];
+    }
+  });
+
+  user.set(updates);
+  await user.save();
+
+  logger.info('User updated by admin', { userId: user._id, adminId: req.user._id, updates: Object.keys(updates) });
+
+  res.status(200).json({
+    success: true,
+    message: 'User updated successfully',
+    data: { user },
+  });
+});
+
+/**
+ * Delete user (user is loaded into req.resource by loadResource)
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  const user = req.resource;
+
+  if (user._id.toString() === req.user._id.toString()) {
+    throw new AppError('You cannot delete your own account', 400);
+  }
+
+  await user.deleteOne();
+  await RefreshToken.deleteMany({ user: user._id });
+  await removeImage(user.profileImage, `users/${user._id}`);
+
+  logger.info('User deleted by admin', { userId: user._id, adminId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'User deleted successfully',
+  });
+});
+
+/**
+ * Clear failed login tracking for a user, lifting any backoff or lockout on the account
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = req.resource;
+  const { deletedCount } = await LoginAttempt.deleteOne({ key: LoginAttempt.accountKey(user.email) });
+
+  logger.info('User login unlocked by admin', { userId: user._id, adminId: req.user._id, cleared: deletedCount > 0 });
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked successfully',
+  });
+});
+
+module.exports = {
+  getAllUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  unlockUser,
+};
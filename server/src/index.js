@@ -2,6 +2,7 @@
 
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startJobs, stopJobs } = require('./jobs');
 const { PORT, NODE_ENV } = require('./config/env');
 const logger = require('./utils/logger');
 
@@ -12,8 +13,8 @@ process.on('uncaughtException', (err) => {
   process.exit(1);
 });
 
-// Connect to database
-connectDB();
+// Connect to database, then start background jobs
+connectDB().then(startJobs);
 
 // Start server
 const server = app.listen(PORT, () => {
@@ -35,6 +36,7 @@ const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   console.log(`Received ${signal}. Starting graceful shutdown...`);
   
+  stopJobs();
   server.close(() => {
     logger.info('Server closed. Process terminated');
     console.log('Server closed. Process terminated');
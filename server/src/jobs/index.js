@@ -0,0 +1,16 @@
+// jobs/index.js - Background jobs registry
+
+const { startJobs, stopJobs } = require('./scheduler');
+const publishScheduled = require('./publishScheduled');
+const purgeTrash = require('./purgeTrash');
+
+const jobs = [
+  publishScheduled,
+  purgeTrash,
+];
+
+module.exports = {
+  jobs,
+  startJobs: () => startJobs(jobs),
+  stopJobs,
+};
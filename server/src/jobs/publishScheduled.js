@@ -0,0 +1,17 @@
+// jobs/publishScheduled.js - Promote scheduled posts once their publication date passes
+
+const Post = require('../models/Post');
+const { SCHEDULER_INTERVAL_MS } = require('../config/env');
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'publishScheduled',
+  intervalMs: SCHEDULER_INTERVAL_MS,
+  run: async () => {
+    const published = await Post.publishDue();
+
+    if (published > 0) {
+      logger.info('Scheduled posts published', { count: published });
+    }
+  },
+};
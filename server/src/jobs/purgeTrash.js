@@ -0,0 +1,45 @@
+// jobs/purgeTrash.js - Permanently delete posts that have been in the trash past the retention period
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostView = require('../models/PostView');
+const PostRevision = require('../models/PostRevision');
+const { TRASH_RETENTION_MS, TRASH_PURGE_INTERVAL_MS } = require('../config/env');
+const { removeImage } = require('../utils/images');
+const logger = require('../utils/logger');
+
+// Posts purged per run, so a large backlog is worked off over several ticks
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Permanently delete a post with its comments, views, revisions and stored images
+ * Likes are embedded in the post and go with it
+ * @param {Object} post - Post document
+ */
+const purgePost = async (post) => {
+  await Comment.deleteMany({ post: post._id });
+  await PostView.deleteMany({ post: post._id });
+  await PostRevision.deleteMany({ post: post._id });
+  await post.deleteOne();
+  await removeImage(post.featuredImage, `posts/${post._id}`);
+};
+
+module.exports = {
+  name: 'purgeTrash',
+  intervalMs: TRASH_PURGE_INTERVAL_MS,
+  run: async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_MS);
+    const posts = await Post.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .sort('deletedAt')
+      .limit(PURGE_BATCH_SIZE)
+      .select('_id featuredImage deletedAt');
+
+    for (const post of posts) {
+      await purgePost(post);
+    }
+
+    if (posts.length > 0) {
+      logger.info('Trashed posts purged', { count: posts.length });
+    }
+  },
+};
@@ -0,0 +1,63 @@
+// jobs/scheduler.js - In-process background job scheduler
+
+const logger = require('../utils/logger');
+
+const timers = new Map();
+
+/**
+ * Run a job once, logging failures instead of throwing
+ * @param {Object} job - Job definition
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    logger.error(`Background job failed: ${job.name}`, { error: error.message, stack: error.stack });
+  }
+};
+
+/**
+ * Start running jobs on their intervals
+ * A job that is still running when its next tick fires is skipped for that tick
+ * @param {Array<Object>} jobs - Job definitions ({ name, intervalMs, run })
+ */
+const startJobs = (jobs) => {
+  jobs.forEach(job => {
+    if (timers.has(job.name)) {
+      return;
+    }
+
+    let running = false;
+    const tick = async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      await runJob(job);
+      running = false;
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    timer.unref();
+    timers.set(job.name, timer);
+
+    logger.info(`Background job scheduled: ${job.name}`, { intervalMs: job.intervalMs });
+    tick();
+  });
+};
+
+/**
+ * Stop all running jobs
+ */
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  runJob,
+  startJobs,
+  stopJobs,
+};
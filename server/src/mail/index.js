@@ -0,0 +1,36 @@
+// mail/index.js - Mail transport registry
+//
+// A mail transport implements:
+//   send({ from, to, subject, text }) -> Promise<Object> { id } of the accepted message
+
+const { MAIL_FROM, MAIL_OUTBOX_DIR } = require('../config/env');
+const { createOutboxTransport } = require('./outboxTransport');
+
+let transport = createOutboxTransport({ dir: MAIL_OUTBOX_DIR });
+
+/**
+ * Get the active mail transport
+ * @returns {Object} Mail transport
+ */
+const getMailer = () => transport;
+
+/**
+ * Replace the active mail transport (e.g. with an SMTP or API backed one)
+ * @param {Object} adapter - Mail transport
+ */
+const setMailer = (adapter) => {
+  transport = adapter;
+};
+
+/**
+ * Send a message through the active transport
+ * @param {Object} message - Message { to, subject, text }
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+module.exports = {
+  getMailer,
+  setMailer,
+  sendMail,
+};
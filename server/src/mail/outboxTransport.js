@@ -0,0 +1,35 @@
+// mail/outboxTransport.js - Mail transport that writes messages to a local outbox directory
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create a transport that stores each message as a JSON file instead of delivering it
+ * Intended for development and tests, where no mail server is available
+ * @param {Object} options - Transport options
+ * @param {String} options.dir - Directory messages are written to
+ * @returns {Object} Mail transport
+ */
+const createOutboxTransport = ({ dir }) => {
+  const outboxDir = path.resolve(dir);
+
+  return {
+    dir: outboxDir,
+
+    async send(message) {
+      const id = crypto.randomUUID();
+      const sentAt = new Date();
+      const filePath = path.join(outboxDir, `${sentAt.getTime()}-${id}.json`);
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({ id, sentAt, ...message }, null, 2));
+
+      return { id };
+    },
+  };
+};
+
+module.exports = {
+  createOutboxTransport,
+};
@@ -1,8 +1,24 @@
 // middleware/auth.js - Authentication middleware
 
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
 const { verifyToken, extractToken, hasRole } = require('../utils/auth');
 const logger = require('../utils/logger');
+const { EMAIL_VERIFICATION_REQUIRED_FOR } = require('../config/env');
+
+/**
+ * Check whether a verified token has been revoked, individually or by "log out everywhere"
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Object} user - User the token belongs to
+ * @returns {Promise<Boolean>} True if the token must be rejected
+ */
+const isTokenRevoked = async (decoded, user) => {
+  if (user.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) {
+    return true;
+  }
+
+  return decoded.jti ? RevokedToken.isRevoked(decoded.jti) : false;
+};
 
 /**
  * Middleware to authenticate user
@@ -39,7 +55,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked',
+      });
+    }
+
     req.user = user;
+    req.auth = decoded;
     next();
   } catch (error) {
     logger.error('Authentication failed', { error: error.message });
@@ -119,6 +143,33 @@ const requireOwnership = (resourceField = 'author') => {
   };
 };
 
+/**
+ * Middleware to block unverified users from an action covered by the verification policy
+ * @param {String} action - Policy action, e.g. 'posts' or 'comments'
+ * @param {Object} options - Options
+ * @param {Array<String>} options.requiredFor - Actions requiring a verified email
+ * @returns {Function} Middleware function
+ */
+const requireVerifiedEmail = (action, { requiredFor = EMAIL_VERIFICATION_REQUIRED_FOR } = {}) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    if (!req.user.emailVerified && requiredFor.includes(action)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to continue',
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional authentication - doesn't fail if no token provided
  * @param {Object} req - Express request object
@@ -133,8 +184,9 @@ const optionalAuth = async (req, res, next) => {
       const decoded = verifyToken(token);
       const user = await User.findById(decoded.id).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !(await isTokenRevoked(decoded, user))) {
         req.user = user;
+        req.auth = decoded;
       }
     }
     
@@ -149,5 +201,6 @@ module.exports = {
   authenticateToken,
   requireRole,
   requireOwnership,
+  requireVerifiedEmail,
   optionalAuth,
 };
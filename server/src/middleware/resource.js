@@ -0,0 +1,52 @@
+// middleware/resource.js - Resource loading middleware
+
+const logger = require('../utils/logger');
+
+/**
+ * Middleware factory to load a document by id and attach it to req.resource
+ * @param {Object} Model - Mongoose model to query
+ * @param {Object} options - Loader options
+ * @param {String} options.param - Route parameter holding the document id
+ * @param {String} options.select - Optional field selection
+ * @param {String|Object} options.populate - Optional populate argument
+ * @param {Function} options.canAccess - Optional (doc, req) => Boolean; inaccessible documents are reported as not found
+ * @returns {Function} Middleware function
+ */
+const loadResource = (Model, { param = 'id', select, populate, canAccess } = {}) => {
+  return async (req, res, next) => {
+    try {
+      let query = Model.findById(req.params[param]);
+
+      if (select) {
+        query = query.select(select);
+      }
+
+      if (populate) {
+        query = query.populate(populate);
+      }
+
+      const resource = await query;
+
+      if (!resource || (canAccess && !canAccess(resource, req))) {
+        return res.status(404).json({
+          success: false,
+          message: `${Model.modelName} not found`,
+        });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      logger.error('Resource loading failed', {
+        model: Model.modelName,
+        id: req.params[param],
+        error: error.message,
+      });
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  loadResource,
+};
@@ -0,0 +1,64 @@
+// middleware/upload.js - Multipart image upload middleware
+
+const multer = require('multer');
+const { UPLOAD_MAX_BYTES } = require('../config/env');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_BYTES,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Only JPEG, PNG, WebP and GIF images are allowed';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Middleware factory to accept a single image upload into req.file (kept in memory)
+ * @param {String} field - Multipart field name
+ * @returns {Function} Middleware function
+ */
+const uploadImage = (field = 'image') => {
+  const handler = imageUpload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Image cannot exceed ${Math.round(UPLOAD_MAX_BYTES / 1024 / 1024)} MB`
+          : error.message;
+
+        return res.status(400).json({
+          success: false,
+          message,
+        });
+      }
+
+      if (error) {
+        return next(error);
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `An image file is required in the "${field}" field`,
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  uploadImage,
+};
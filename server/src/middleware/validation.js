@@ -26,6 +26,17 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Password strength rules shared by registration and password reset
+ * @param {String} field - Body field holding the new password
+ * @returns {Object} Validation chain
+ */
+const passwordRules = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+
 /**
  * User registration validation
  */
@@ -42,11 +53,7 @@ const validateUserRegistration = [
     .withMessage('Please provide a valid email')
     .normalizeEmail(),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordRules('password'),
   
   body('firstName')
     .optional()
@@ -79,6 +86,59 @@ const validateUserLogin = [
   handleValidationErrors,
 ];
 
+/**
+ * Forgot password validation
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Password reset validation
+ */
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .withMessage('Reset token must be a string')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  passwordRules('password'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Email verification validation
+ */
+const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .withMessage('Verification token must be a string')
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Refresh token validation
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token must be a string')
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors,
+];
+
 /**
  * Post creation validation
  */
@@ -94,6 +154,7 @@ const validatePostCreation = [
     .trim(),
   
   body('slug')
+    .optional()
     .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
     .withMessage('Slug must be URL-friendly (lowercase letters, numbers, and hyphens only)')
     .trim(),
@@ -115,8 +176,18 @@ const validatePostCreation = [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived')
+    .custom((value, { req }) => value !== 'scheduled' || Boolean(req.body.publishedAt))
+    .withMessage('Scheduled posts require a publishedAt date'),
+  
+  body('publishedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Published date must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => req.body.status !== 'scheduled' || value > new Date())
+    .withMessage('Scheduled posts must have a future publication date'),
   
   handleValidationErrors,
 ];
@@ -150,8 +221,120 @@ const validatePostUpdate = [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived')
+    // The post being updated is loaded into req.resource before this chain runs
+    .custom((value, { req }) => value !== 'scheduled'
+      || Boolean(req.body.publishedAt || (req.resource && req.resource.publishedAt)))
+    .withMessage('Scheduled posts require a publishedAt date'),
+  
+  body('publishedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Published date must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => req.body.status !== 'scheduled' || value > new Date())
+    .withMessage('Scheduled posts must have a future publication date'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Category creation validation
+ */
+const validateCategoryCreation = [
+  body('name')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters')
+    .trim(),
+  
+  body('slug')
+    .optional()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug must be URL-friendly (lowercase letters, numbers, and hyphens only)')
+    .trim(),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+    .trim(),
+  
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid ObjectId'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Category update validation
+ */
+const validateCategoryUpdate = [
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters')
+    .trim(),
+  
+  body('slug')
+    .optional()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug must be URL-friendly')
+    .trim(),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+    .trim(),
+  
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid ObjectId'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Category deletion validation
+ */
+const validateCategoryDeletion = [
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid ObjectId'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Comment creation validation
+ */
+const validateCommentCreation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+  
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid ObjectId'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Comment update validation
+ */
+const validateCommentUpdate = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
   
   handleValidationErrors,
 ];
@@ -167,26 +350,228 @@ const validateObjectId = (paramName = 'id') => [
   handleValidationErrors,
 ];
 
+/**
+ * URL slug parameter validation
+ */
+const validateSlug = (paramName = 'slug') => [
+  param(paramName)
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage(`${paramName} must be URL-friendly`),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Build pagination validation for a list sortable by the given fields
+ * @param {Array<String>} sortFields - Sortable fields; each is allowed ascending and descending ("-" prefix)
+ * @returns {Array} Validation chain
+ */
+const paginationRules = (sortFields) => {
+  const sorts = sortFields.flatMap(field => [field, `-${field}`]);
+
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    
+    query('sort')
+      .optional()
+      .isIn(sorts)
+      .withMessage(`Sort must be one of: ${sorts.join(', ')}`),
+    
+    query('cursor')
+      .optional()
+      .isBase64({ urlSafe: true })
+      .withMessage('Cursor is invalid')
+      .custom((value, { req }) => req.query.page === undefined)
+      .withMessage('Use either page or cursor, not both'),
+    
+    handleValidationErrors,
+  ];
+};
+
 /**
  * Pagination validation
  */
-const validatePagination = [
-  query('page')
+const validatePagination = paginationRules(['createdAt', 'updatedAt', 'title']);
+
+/**
+ * User list pagination validation; only fields every user has can back a cursor
+ */
+const validateUserPagination = paginationRules(['createdAt', 'updatedAt', 'username', 'email']);
+
+/**
+ * Post list filter and search validation
+ */
+const validatePostQuery = [
+  query('q')
     .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer')
-    .toInt(),
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters')
+    .custom((value, { req }) => req.query.cursor === undefined)
+    .withMessage('Cursor pagination is not supported for search results'),
+  
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Category must be a valid ObjectId'),
+  
+  query('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag must be between 1 and 50 characters'),
+  
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Author must be a valid ObjectId'),
+  
+  query('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date')
+    .toDate(),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date')
+    .toDate(),
+  
+  query('facets')
+    .optional()
+    .isBoolean()
+    .withMessage('Facets must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Revision diff validation
+ */
+const validateRevisionDiff = [
+  query('from')
+    .isMongoId()
+    .withMessage('From must be a valid revision id'),
+  
+  query('to')
+    .optional()
+    .custom(value => value === 'current' || /^[a-f0-9]{24}$/i.test(value))
+    .withMessage('To must be a valid revision id or "current"'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Tag name rule shared by tag validators (tags are stored lowercase)
+ * @param {Function} location - express-validator location (body, param, ...)
+ * @param {String} field - Field name
+ * @param {String} label - Name used in error messages
+ * @returns {Object} Validation chain
+ */
+const tagName = (location, field, label) => location(field)
+  .isString()
+  .withMessage(`${label} must be a string`)
+  .trim()
+  .toLowerCase()
+  .isLength({ min: 1, max: 50 })
+  .withMessage(`${label} must be between 1 and 50 characters`);
+
+/**
+ * Tag list and autocomplete validation
+ */
+const validateTagQuery = [
+  query('prefix')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Prefix must be between 1 and 50 characters'),
+  
+  query('sort')
+    .optional()
+    .isIn(['count', 'name'])
+    .withMessage('Sort must be one of: count, name'),
   
   query('limit')
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
     .toInt(),
   
-  query('sort')
+  handleValidationErrors,
+];
+
+/**
+ * Tag rename validation
+ */
+const validateTagRename = [
+  tagName(param, 'tag', 'Tag'),
+  tagName(body, 'name', 'Name'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Tag merge validation
+ */
+const validateTagMerge = [
+  body('sources')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Sources must be an array of 1 to 50 tags'),
+  
+  tagName(body, 'sources.*', 'Each source tag'),
+  tagName(body, 'target', 'Target'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Admin user update validation
+ */
+const validateUserUpdate = [
+  body('firstName')
+    .optional()
+    .isString()
+    .withMessage('First name must be a string')
+    .isLength({ max: 50 })
+    .withMessage('First name cannot exceed 50 characters')
+    .trim(),
+  
+  body('lastName')
+    .optional()
+    .isString()
+    .withMessage('Last name must be a string')
+    .isLength({ max: 50 })
+    .withMessage('Last name cannot exceed 50 characters')
+    .trim(),
+  
+  body('role')
+    .optional()
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be user or admin'),
+  
+  body('isActive')
     .optional()
-    .isIn(['createdAt', '-createdAt', 'updatedAt', '-updatedAt', 'title', '-title'])
-    .withMessage('Sort must be one of: createdAt, -createdAt, updatedAt, -updatedAt, title, -title'),
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
   
   handleValidationErrors,
 ];
@@ -195,8 +580,25 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateRefreshToken,
   validatePostCreation,
   validatePostUpdate,
+  validateCategoryCreation,
+  validateCategoryUpdate,
+  validateCategoryDeletion,
+  validateCommentCreation,
+  validateCommentUpdate,
   validateObjectId,
+  validateSlug,
   validatePagination,
+  validateUserPagination,
+  validateUserUpdate,
+  validatePostQuery,
+  validateRevisionDiff,
+  validateTagQuery,
+  validateTagRename,
+  validateTagMerge,
 };
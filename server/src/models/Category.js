@@ -0,0 +1,77 @@
+// models/Category.js - Category model
+
+const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slug');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug must be URL-friendly'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Derive a unique slug from the name if not provided
+categorySchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = await generateUniqueSlug(this.constructor, this.name, {
+      excludeId: this._id,
+      fields: ['slug'],
+      fallback: 'category',
+    });
+  }
+});
+
+/**
+ * Check whether a category can be nested under a parent without creating a cycle
+ * @param {String} categoryId - Category being moved
+ * @param {String} parentId - Proposed parent
+ * @returns {Promise<Boolean>} True if the parent is valid
+ */
+categorySchema.statics.isValidParent = async function(categoryId, parentId) {
+  let currentId = parentId;
+
+  while (currentId) {
+    if (categoryId && currentId.toString() === categoryId.toString()) {
+      return false;
+    }
+
+    const current = await this.findById(currentId).select('parent');
+    if (!current) {
+      return false;
+    }
+    currentId = current.parent;
+  }
+
+  return true;
+};
+
+// Create indexes for better performance
+categorySchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,59 @@
+// models/Comment.js - Comment model
+
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required'],
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    trim: true,
+    minlength: [1, 'Comment cannot be empty'],
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  editedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+/**
+ * Collect the ids of a comment and all of its replies
+ * @param {String} commentId - Root comment id
+ * @returns {Promise<Array>} Comment ids in the subtree
+ */
+commentSchema.statics.findSubtreeIds = async function(commentId) {
+  const ids = [commentId];
+  let frontier = [commentId];
+
+  while (frontier.length > 0) {
+    const children = await this.find({ parent: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+// Create indexes for better performance
+commentSchema.index({ post: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,106 @@
+// models/LoginAttempt.js - Failed login tracking per account and per IP address
+
+const mongoose = require('mongoose');
+const { loginFailureDelay } = require('../utils/auth');
+const { LOGIN_ATTEMPT_WINDOW_MS, LOGIN_LOCKOUT_MS } = require('../config/env');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // 'account:<email>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  blockedUntil: {
+    type: Date,
+  },
+  locked: {
+    type: Boolean,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+/**
+ * Tracking key for an account; keyed by email so unknown addresses are throttled the same way
+ * @param {String} email - Normalized email address
+ * @returns {String} Key
+ */
+loginAttemptSchema.statics.accountKey = function(email) {
+  return `account:${email}`;
+};
+
+/**
+ * Tracking key for a client IP address
+ * @param {String} ip - IP address
+ * @returns {String} Key
+ */
+loginAttemptSchema.statics.ipKey = function(ip) {
+  return `ip:${ip}`;
+};
+
+/**
+ * Find the latest moment any of the keys is blocked until
+ * @param {Array<String>} keys - Tracking keys
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Blocking attempt document, or null if logins are allowed
+ */
+loginAttemptSchema.statics.findBlocking = function(keys, now = new Date()) {
+  return this.findOne({ key: { $in: keys }, blockedUntil: { $gt: now } }).sort('-blockedUntil');
+};
+
+/**
+ * Record a failed login and apply backoff or lockout once the policy thresholds are reached
+ * Failures older than LOGIN_ATTEMPT_WINDOW_MS no longer count towards the total
+ * @param {String} key - Tracking key
+ * @param {Object} policy - { backoffAfter, baseMs, lockoutThreshold }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Updated attempt document
+ */
+loginAttemptSchema.statics.recordFailure = async function(key, policy, now = new Date()) {
+  const windowStart = new Date(now.getTime() - LOGIN_ATTEMPT_WINDOW_MS);
+
+  // Pipeline update so the window check and increment happen in one atomic step
+  const attempt = await this.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        key: { $literal: key },
+        failures: {
+          $cond: [{ $gt: ['$lastFailureAt', windowStart] }, { $add: ['$failures', 1] }, 1],
+        },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + Math.max(LOGIN_ATTEMPT_WINDOW_MS, LOGIN_LOCKOUT_MS)),
+      },
+    }],
+    { upsert: true, new: true }
+  );
+
+  const { delayMs, locked } = loginFailureDelay(attempt.failures, { ...policy, lockoutMs: LOGIN_LOCKOUT_MS });
+
+  if (delayMs > 0) {
+    attempt.blockedUntil = new Date(now.getTime() + delayMs);
+    attempt.locked = locked;
+    await this.updateOne(
+      { _id: attempt._id },
+      { $set: { blockedUntil: attempt.blockedUntil, locked } }
+    );
+  }
+
+  return attempt;
+};
+
+// Records are dropped once neither the window nor a lockout can still apply
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
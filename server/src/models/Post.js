@@ -1,6 +1,30 @@
 // models/Post.js - Post model
 
 const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slug');
+const {
+  renderMarkdown,
+  toPlainText,
+  countWords,
+  readingTimeMinutes,
+  buildExcerpt,
+} = require('../utils/markdown');
+
+/**
+ * Render Markdown content and derive the reading stats stored with it
+ * @param {String} content - Markdown content
+ * @returns {Object} { contentHtml, wordCount, readingTimeMinutes }
+ */
+const renderContent = (content) => {
+  const contentHtml = renderMarkdown(content);
+  const wordCount = countWords(toPlainText(contentHtml));
+
+  return {
+    contentHtml,
+    wordCount,
+    readingTimeMinutes: readingTimeMinutes(wordCount),
+  };
+};
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -16,6 +40,19 @@ const postSchema = new mongoose.Schema({
     minlength: [10, 'Content must be at least 10 characters long'],
     maxlength: [5000, 'Content cannot exceed 5000 characters'],
   },
+  // Markdown content rendered to sanitized HTML on save
+  contentHtml: {
+    type: String,
+    default: '',
+  },
+  wordCount: {
+    type: Number,
+    default: 0,
+  },
+  readingTimeMinutes: {
+    type: Number,
+    default: 0,
+  },
   excerpt: {
     type: String,
     maxlength: [300, 'Excerpt cannot exceed 300 characters'],
@@ -28,6 +65,12 @@ const postSchema = new mongoose.Schema({
     trim: true,
     match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug must be URL-friendly'],
   },
+  // Retired slugs, kept so old links can be redirected
+  previousSlugs: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+  }],
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -45,7 +88,7 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft',
   },
   featured: {
@@ -56,6 +99,11 @@ const postSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  featuredImageThumbnails: {
+    small: String,
+    medium: String,
+    large: String,
+  },
   views: {
     type: Number,
     default: 0,
@@ -81,6 +129,15 @@ const postSchema = new mongoose.Schema({
     type: String,
     maxlength: [160, 'SEO description cannot exceed 160 characters'],
   },
+  // Set when the post is moved to the trash; trashed posts are purged after TRASH_RETENTION_MS
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -100,10 +157,58 @@ postSchema.virtual('likeCount').get(function() {
   return this.likes ? this.likes.length : 0;
 });
 
-// Auto-generate excerpt if not provided
+// Remember the slug a document was loaded with so changes can be tracked
+postSchema.post('init', function() {
+  this.$locals.loadedSlug = this.slug;
+});
+
+// Derive a unique slug from the title, or make sure a chosen slug isn't a retired one
+postSchema.pre('validate', async function() {
+  if (!this.slug && this.title) {
+    this.slug = await generateUniqueSlug(this.constructor, this.title, {
+      excludeId: this._id,
+      fields: ['slug', 'previousSlugs'],
+      fallback: 'post',
+    });
+    return;
+  }
+
+  if (this.isModified('slug')) {
+    const retiredElsewhere = await this.constructor.exists({
+      _id: { $ne: this._id },
+      previousSlugs: this.slug,
+    });
+    if (retiredElsewhere) {
+      this.invalidate('slug', 'Slug is already in use');
+    }
+  }
+});
+
+// Keep the old slug in history when it changes
 postSchema.pre('save', function(next) {
-  if (!this.excerpt && this.content) {
-    this.excerpt = this.content.substring(0, 150) + (this.content.length > 150 ? '...' : '');
+  const oldSlug = this.$locals.loadedSlug;
+
+  if (!this.isNew && this.isModified('slug') && oldSlug && oldSlug !== this.slug) {
+    this.previousSlugs = this.previousSlugs
+      .filter(slug => slug !== this.slug && slug !== oldSlug)
+      .concat(oldSlug);
+  }
+  next();
+});
+
+// Keep the new slug as the loaded one after saving
+postSchema.post('save', function() {
+  this.$locals.loadedSlug = this.slug;
+});
+
+// Render Markdown content and derive reading stats and excerpt from its plain text
+postSchema.pre('save', function(next) {
+  if (this.isModified('content') || (this.content && !this.contentHtml)) {
+    this.set(renderContent(this.content));
+
+    if (!this.excerpt) {
+      this.excerpt = buildExcerpt(toPlainText(this.contentHtml));
+    }
   }
   next();
 });
@@ -116,31 +221,256 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to increment views
+// Posts published with a future date wait for the scheduler instead
+postSchema.pre('save', function(next) {
+  if (this.status === 'published' && this.publishedAt > new Date()
+    && (this.isModified('status') || this.isModified('publishedAt'))) {
+    this.status = 'scheduled';
+  }
+  next();
+});
+
+// Reported as a validation error (400) for anything the request validators let through
+postSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishedAt) {
+    this.invalidate('publishedAt', 'Scheduled posts require a publishedAt date');
+  }
+  next();
+});
+
+/**
+ * Publish scheduled posts whose publication date has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Number>} Number of posts published
+ */
+postSchema.statics.publishDue = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishedAt: { $lte: now }, deletedAt: null },
+    { $set: { status: 'published' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Render contentHtml and reading stats for posts stored before Markdown rendering existed
+ * Writes only the rendered fields, so updatedAt and other hooks are left untouched
+ * @param {Object} options - Options
+ * @param {Number} options.batchSize - Posts written per bulk operation
+ * @returns {Promise<Number>} Number of posts updated
+ */
+postSchema.statics.backfillContentHtml = async function({ batchSize = 500 } = {}) {
+  const cursor = this.find({ content: { $nin: [null, ''] }, contentHtml: { $in: [null, ''] } })
+    .select('content')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      await this.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  };
+
+  for await (const post of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: renderContent(post.content) },
+        timestamps: false,
+      },
+    });
+
+    if (operations.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return updated;
+};
+
+// Instance method to increment views atomically, resolves to the new view count
 postSchema.methods.incrementViews = async function() {
-  this.views += 1;
-  return await this.save();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { views: 1 } },
+    { new: true, projection: { views: 1 } }
+  );
+  return updated ? updated.views : this.views;
 };
 
 // Instance method to toggle like
+// Uses conditional atomic updates so concurrent likes are never lost
 postSchema.methods.toggleLike = async function(userId) {
-  const existingLikeIndex = this.likes.findIndex(like => like.user.toString() === userId.toString());
-  
-  if (existingLikeIndex > -1) {
-    this.likes.splice(existingLikeIndex, 1);
-  } else {
-    this.likes.push({ user: userId });
+  const Post = this.constructor;
+  const options = { new: true, projection: { likes: 1 } };
+
+  let liked = true;
+  let updated = await Post.findOneAndUpdate(
+    { _id: this._id, 'likes.user': { $ne: userId } },
+    { $push: { likes: { user: userId } } },
+    options
+  );
+
+  if (!updated) {
+    liked = false;
+    updated = await Post.findOneAndUpdate(
+      { _id: this._id, 'likes.user': userId },
+      { $pull: { likes: { user: userId } } },
+      options
+    );
   }
-  
-  return await this.save();
+
+  if (!updated) {
+    throw new Error('Post not found');
+  }
+
+  return {
+    liked,
+    likeCount: updated.likes.length,
+  };
+};
+
+// Instance method to check whether a user likes the post
+postSchema.methods.isLikedBy = function(userId) {
+  if (!userId || !this.likes) {
+    return false;
+  }
+  return this.likes.some(like => like.user && like.user.toString() === userId.toString());
+};
+
+/**
+ * Aggregate facet counts (tags, categories, authors, publication months) for a filter
+ * The leading $match lets MongoDB use the tags, category and status/publishedAt indexes
+ * @param {Object} filter - Post filter (as passed to find)
+ * @param {Object} options - Facet options
+ * @param {Number} options.limit - Maximum buckets per facet
+ * @returns {Promise<Object>} Facet buckets keyed by facet name
+ */
+postSchema.statics.facetCounts = async function(filter = {}, { limit = 20 } = {}) {
+  const match = this.find(filter).cast();
+  const byCountThenId = { $sort: { count: -1, _id: 1 } };
+
+  const [facets] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          byCountThenId,
+          { $limit: limit },
+          { $project: { _id: 0, tag: '$_id', count: 1 } },
+        ],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          byCountThenId,
+          { $limit: limit },
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+          { $project: { _id: 1, count: 1, name: '$category.name', slug: '$category.slug' } },
+        ],
+        authors: [
+          { $group: { _id: '$author', count: { $sum: 1 } } },
+          byCountThenId,
+          { $limit: limit },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'author' } },
+          { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 1,
+              count: 1,
+              username: '$author.username',
+              firstName: '$author.firstName',
+              lastName: '$author.lastName',
+            },
+          },
+        ],
+        months: [
+          { $match: { publishedAt: { $type: 'date' } } },
+          { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$publishedAt' } }, count: { $sum: 1 } } },
+          { $sort: { _id: -1 } },
+          { $limit: limit },
+          { $project: { _id: 0, month: '$_id', count: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  return facets;
+};
+
+/**
+ * Count tag usage across posts matching a filter
+ * @param {Object} filter - Post filter (as passed to find)
+ * @param {Object} options - Options
+ * @param {RegExp} options.match - Only count tags matching this pattern
+ * @param {String} options.sort - "count" (most used first) or "name"
+ * @param {Number} options.limit - Maximum number of tags
+ * @returns {Promise<Array<Object>>} Entries { tag, count }
+ */
+postSchema.statics.tagCounts = function(filter = {}, { match, sort = 'count', limit = 100 } = {}) {
+  const tagMatch = match ? [{ $match: { tags: match } }] : [];
+
+  return this.aggregate([
+    { $match: { ...this.find(filter).cast(), ...(match && { tags: match }) } },
+    { $unwind: '$tags' },
+    ...tagMatch,
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } },
+  ]);
+};
+
+/**
+ * Replace tags across all posts, keeping each post's tag order and removing duplicates
+ * Used for both renaming (one source) and merging (several sources)
+ * @param {Array<String>} sources - Tags to replace
+ * @param {String} target - Replacement tag
+ * @returns {Promise<Number>} Number of posts changed
+ */
+postSchema.statics.replaceTags = async function(sources, target) {
+  const result = await this.updateMany(
+    { tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $reduce: {
+            input: {
+              $map: {
+                input: '$tags',
+                in: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] },
+              },
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] },
+              ],
+            },
+          },
+        },
+      },
+    }]
+  );
+  return result.modifiedCount;
 };
 
 // Create indexes for better performance
 postSchema.index({ slug: 1 });
+postSchema.index({ previousSlugs: 1 });
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ category: 1, status: 1 });
 postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ deletedAt: 1 });
 postSchema.index({ title: 'text', content: 'text' });
 
 module.exports = mongoose.model('Post', postSchema);
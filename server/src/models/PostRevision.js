@@ -0,0 +1,138 @@
+// models/PostRevision.js - Post revision model
+
+const mongoose = require('mongoose');
+const { POST_REVISION_LIMIT } = require('../config/env');
+
+// Post fields captured in each revision
+const TRACKED_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'tags',
+  'category',
+  'status',
+  'seoTitle',
+  'seoDescription',
+];
+
+// Fields a restore writes back; status stays as is so publishing rules cannot be bypassed
+const RESTORABLE_FIELDS = TRACKED_FIELDS.filter(field => field !== 'status');
+
+// Attempts at claiming the next version number when concurrent edits collide
+const RECORD_ATTEMPTS = 5;
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  // User whose edit replaced this version
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  changedFields: [{
+    type: String,
+  }],
+  snapshot: {
+    title: String,
+    content: String,
+    excerpt: String,
+    tags: [String],
+    category: mongoose.Schema.Types.ObjectId,
+    status: String,
+    seoTitle: String,
+    seoDescription: String,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+/**
+ * Capture the tracked fields of a post
+ * @param {Object} post - Post document
+ * @returns {Object} Snapshot of tracked fields
+ */
+postRevisionSchema.statics.takeSnapshot = function(post) {
+  const snapshot = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    const value = post.get(field);
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+  });
+
+  return snapshot;
+};
+
+/**
+ * Store a revision holding a post's previous state and enforce the retention cap
+ * @param {Object} options - Revision options
+ * @param {String} options.postId - Post id
+ * @param {Object} options.snapshot - State of the post before the edit
+ * @param {String} options.editorId - User who made the edit
+ * @param {Array<String>} options.changedFields - Fields changed by the edit
+ * @returns {Promise<Object>} Created revision
+ */
+postRevisionSchema.statics.record = async function({ postId, snapshot, editorId, changedFields }) {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await this.findOne({ post: postId }).sort('-version').select('version');
+    const version = latest ? latest.version + 1 : 1;
+
+    try {
+      const revision = await this.create({
+        post: postId,
+        version,
+        editor: editorId,
+        changedFields,
+        snapshot,
+      });
+
+      await this.deleteMany({ post: postId, version: { $lte: version - POST_REVISION_LIMIT } });
+
+      return revision;
+    } catch (error) {
+      // Duplicate key means a concurrent edit claimed the same version; take the next one
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Apply updates to a post and record its previous state if tracked fields changed
+ * @param {Object} post - Post document
+ * @param {Object} updates - Fields to set
+ * @param {String} editorId - User making the edit
+ * @returns {Promise<Array<String>>} Tracked fields that changed
+ */
+postRevisionSchema.statics.applyWithRevision = async function(post, updates, editorId) {
+  const snapshot = this.takeSnapshot(post);
+
+  post.set(updates);
+  const changedFields = TRACKED_FIELDS.filter(field => post.isModified(field));
+  await post.save();
+
+  if (changedFields.length > 0) {
+    await this.record({ postId: post._id, snapshot, editorId, changedFields });
+  }
+
+  return changedFields;
+};
+
+// Create indexes for better performance
+postRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+PostRevision.TRACKED_FIELDS = TRACKED_FIELDS;
+PostRevision.RESTORABLE_FIELDS = RESTORABLE_FIELDS;
+
+module.exports = PostRevision;
@@ -0,0 +1,57 @@
+// models/PostView.js - Post view model (used to deduplicate view counts)
+
+const mongoose = require('mongoose');
+const { VIEW_DEDUP_WINDOW_MS } = require('../config/env');
+
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  viewer: {
+    type: String,
+    required: true,
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Record a view for a viewer if they have not viewed the post within the dedup window
+ * @param {String} postId - Post id
+ * @param {String} viewer - Viewer key (user id or anonymous fingerprint)
+ * @returns {Promise<Boolean>} True if the view should be counted
+ */
+postViewSchema.statics.register = async function(postId, viewer) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - VIEW_DEDUP_WINDOW_MS);
+
+  // Refresh a stale view record (one the TTL monitor has not removed yet)
+  const refreshed = await this.updateOne(
+    { post: postId, viewer, viewedAt: { $lte: cutoff } },
+    { $set: { viewedAt: now } }
+  );
+  if (refreshed.modifiedCount > 0) {
+    return true;
+  }
+
+  try {
+    await this.create({ post: postId, viewer, viewedAt: now });
+    return true;
+  } catch (error) {
+    // Duplicate key means the viewer already has a view inside the window
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// One record per viewer per post, removed once the dedup window has passed
+postViewSchema.index({ post: 1, viewer: 1 }, { unique: true });
+postViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: Math.ceil(VIEW_DEDUP_WINDOW_MS / 1000) });
+
+module.exports = mongoose.model('PostView', postViewSchema);
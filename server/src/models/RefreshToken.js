@@ -0,0 +1,157 @@
+// models/RefreshToken.js - Refresh token model (opaque tokens stored as SHA-256 hashes)
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { REFRESH_TOKEN_TTL_MS } = require('../config/env');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Every token descending from one login shares a family, so a replay can revoke them all
+  family: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+  },
+  createdByIp: String,
+  userAgent: String,
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {String} token - Raw token
+ * @returns {String} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new refresh token for a user
+ * @param {Object} user - User document
+ * @param {Object} options - Options
+ * @param {String} options.family - Token family to continue (a new one is started when omitted)
+ * @param {String} options.ip - Client IP address
+ * @param {String} options.userAgent - Client user agent
+ * @returns {Promise<Object>} { token, doc } where token is the raw value to hand to the client
+ */
+refreshTokenSchema.statics.issue = async function(user, { family, ip, userAgent } = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const doc = await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    createdByIp: ip,
+    userAgent,
+  });
+
+  return { token, doc };
+};
+
+/**
+ * Revoke every active token in a family
+ * @param {String} family - Token family
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+refreshTokenSchema.statics.revokeFamily = async function(family) {
+  const result = await this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every active refresh token of a user
+ * @param {String} userId - User id
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+refreshTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family
+ * Presenting a token that was already rotated or revoked is treated as theft and revokes the whole family
+ * @param {String} token - Raw refresh token
+ * @param {Object} options - { ip, userAgent } recorded on the new token
+ * @returns {Promise<Object>} { status, token, doc } where status is rotated, invalid, expired or reused
+ */
+refreshTokenSchema.statics.rotate = async function(token, { ip, userAgent } = {}) {
+  const existing = await this.findOne({ tokenHash: hashToken(token) });
+
+  if (!existing) {
+    return { status: 'invalid' };
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    return { status: 'expired', doc: existing };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await this.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await this.revokeFamily(existing.family);
+    return { status: 'reused', doc: existing };
+  }
+
+  const issued = await this.issue({ _id: claimed.user }, { family: claimed.family, ip, userAgent });
+  claimed.replacedBy = issued.doc._id;
+  await claimed.save();
+
+  return { status: 'rotated', token: issued.token, doc: issued.doc };
+};
+
+/**
+ * Revoke the family a raw token belongs to (used on logout)
+ * @param {String} token - Raw refresh token
+ * @param {String} userId - Owner the token must belong to
+ * @returns {Promise<Boolean>} True if the token was known and owned by the user
+ */
+refreshTokenSchema.statics.revokeByToken = async function(token, userId) {
+  const existing = await this.findOne({ tokenHash: hashToken(token), user: userId }).select('family');
+
+  if (!existing) {
+    return false;
+  }
+
+  await this.revokeFamily(existing.family);
+  return true;
+};
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Expired tokens are no longer useful, even for reuse detection
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,55 @@
+// models/RevokedToken.js - Denylist of revoked or consumed tokens, kept until the token would have expired
+
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+/**
+ * Revoke a token by its decoded payload
+ * The upsert is atomic, so the result can also be used to consume single-use tokens
+ * @param {Object} payload - Decoded JWT payload ({ jti, id, exp })
+ * @returns {Promise<Boolean>} True if this call revoked the token, false if it already was
+ *   or has no jti and cannot be revoked individually
+ */
+revokedTokenSchema.statics.revoke = async function({ jti, id, exp } = {}) {
+  if (!jti) {
+    return false;
+  }
+
+  const result = await this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user: id, expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+  return result.upsertedCount === 1;
+};
+
+/**
+ * Check whether a token id has been revoked
+ * @param {String} jti - Token id
+ * @returns {Promise<Boolean>} True if revoked
+ */
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+// Entries are dropped once the token they block has expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
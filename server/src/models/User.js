@@ -50,10 +50,31 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
   },
+  // Registration creates accounts unverified; the default covers accounts that predate
+  // email verification and ones created directly (seeds, admin tooling)
+  emailVerified: {
+    type: Boolean,
+    default: true,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  verificationEmailSentAt: {
+    type: Date,
+  },
+  // Access tokens issued before this moment are rejected ("log out everywhere")
+  tokensValidAfter: {
+    type: Date,
+  },
   profileImage: {
     type: String,
     default: '',
   },
+  profileImageThumbnails: {
+    small: String,
+    medium: String,
+    large: String,
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
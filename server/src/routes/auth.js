@@ -4,14 +4,26 @@ const express = require('express');
 const {
   register,
   login,
+  refresh,
   getMe,
   updateProfile,
   logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
 } = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const { uploadProfileImage, deleteProfileImage } = require('../controllers/imagesController');
+const { uploadImage } = require('../middleware/upload');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateRefreshToken,
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -19,10 +31,24 @@ const router = express.Router();
 // Public routes
 router.post('/register', validateUserRegistration, register);
 router.post('/login', validateUserLogin, login);
+router.post('/refresh', validateRefreshToken, refresh);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password', validateResetPassword, resetPassword);
+router.post('/verify-email', validateVerifyEmail, verifyEmail);
 
 // Protected routes
 router.get('/me', authenticateToken, getMe);
 router.put('/profile', authenticateToken, updateProfile);
-router.post('/logout', authenticateToken, logout);
+router.post('/verify-email/resend', authenticateToken, resendVerificationEmail);
+router.post(
+  '/profile/image',
+  authenticateToken,
+  requireVerifiedEmail('uploads'),
+  uploadImage('image'),
+  uploadProfileImage
+);
+router.delete('/profile/image', authenticateToken, deleteProfileImage);
+router.post('/logout', authenticateToken, validateRefreshToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
 
 module.exports = router;
@@ -0,0 +1,48 @@
+// routes/categories.js - Categories routes
+
+const express = require('express');
+const Category = require('../models/Category');
+const {
+  getAllCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoriesController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { loadResource } = require('../middleware/resource');
+const {
+  validateCategoryCreation,
+  validateCategoryUpdate,
+  validateCategoryDeletion,
+  validateObjectId,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getAllCategories);
+router.get('/:id', validateObjectId('id'), loadResource(Category), getCategory);
+
+// Admin only routes
+router.post('/', authenticateToken, requireRole('admin'), validateCategoryCreation, createCategory);
+router.put(
+  '/:id',
+  authenticateToken,
+  requireRole('admin'),
+  validateObjectId('id'),
+  validateCategoryUpdate,
+  loadResource(Category),
+  updateCategory
+);
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireRole('admin'),
+  validateObjectId('id'),
+  validateCategoryDeletion,
+  loadResource(Category),
+  deleteCategory
+);
+
+module.exports = router;
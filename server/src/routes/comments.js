@@ -0,0 +1,70 @@
+// routes/comments.js - Comments routes (mounted under /api/posts/:id/comments)
+
+const express = require('express');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require('../controllers/commentsController');
+const {
+  authenticateToken,
+  optionalAuth,
+  requireOwnership,
+  requireVerifiedEmail,
+} = require('../middleware/auth');
+const { loadResource } = require('../middleware/resource');
+const { canViewPost } = require('../utils/postQuery');
+const {
+  validateCommentCreation,
+  validateCommentUpdate,
+  validateObjectId,
+} = require('../middleware/validation');
+
+const router = express.Router({ mergeParams: true });
+
+// Comments are only reachable on posts the requester may see
+const loadVisiblePost = loadResource(Post, {
+  select: '_id status author deletedAt',
+  canAccess: (post, req) => canViewPost(post, req.user),
+});
+
+// Public routes
+router.get('/', validateObjectId('id'), optionalAuth, loadVisiblePost, getComments);
+
+// Protected routes
+router.post(
+  '/',
+  authenticateToken,
+  requireVerifiedEmail('comments'),
+  validateObjectId('id'),
+  validateCommentCreation,
+  loadVisiblePost,
+  createComment
+);
+router.put(
+  '/:commentId',
+  authenticateToken,
+  requireVerifiedEmail('comments'),
+  validateObjectId('id'),
+  validateObjectId('commentId'),
+  validateCommentUpdate,
+  loadVisiblePost,
+  loadResource(Comment, { param: 'commentId' }),
+  requireOwnership('author'),
+  updateComment
+);
+router.delete(
+  '/:commentId',
+  authenticateToken,
+  validateObjectId('id'),
+  validateObjectId('commentId'),
+  loadVisiblePost,
+  loadResource(Comment, { param: 'commentId' }),
+  requireOwnership('author'),
+  deleteComment
+);
+
+module.exports = router;
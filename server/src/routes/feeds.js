@@ -0,0 +1,17 @@
+// routes/feeds.js - RSS and Atom feed routes
+
+const express = require('express');
+const {
+  getPostsFeed,
+  getCategoryFeed,
+  getTagFeed,
+} = require('../controllers/feedsController');
+
+const router = express.Router();
+
+// Each feed is available as .rss and .atom
+router.get('/posts.:format(rss|atom)', getPostsFeed);
+router.get('/category/:slug.:format(rss|atom)', getCategoryFeed);
+router.get('/tag/:tag.:format(rss|atom)', getTagFeed);
+
+module.exports = router;
@@ -1,65 +1,116 @@
 // routes/posts.js - Posts routes
 
 const express = require('express');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const {
+  getAllPosts,
+  getPost,
+  getPostBySlug,
+  createPost,
+  updatePost,
+  deletePost,
+  getTrash,
+  restorePost,
+  toggleLike,
+  getLikes,
+  getPostMeta,
+} = require('../controllers/postsController');
+const Post = require('../models/Post');
+const {
+  authenticateToken,
+  optionalAuth,
+  requireOwnership,
+  requireVerifiedEmail,
+} = require('../middleware/auth');
+const { loadResource } = require('../middleware/resource');
+const { canViewPost, isTrashed } = require('../utils/postQuery');
 const {
   validatePostCreation,
   validatePostUpdate,
   validateObjectId,
+  validateSlug,
   validatePagination,
+  validatePostQuery,
 } = require('../middleware/validation');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
+const { uploadPostImage, deletePostImage } = require('../controllers/imagesController');
+const { uploadImage } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Mock controller functions (to be implemented)
-const postsController = {
-  getAllPosts: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Posts retrieved successfully',
-      data: { posts: [], pagination: { page: 1, limit: 10, total: 0 } },
-    });
-  },
-  
-  getPost: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Post retrieved successfully',
-      data: { post: { id: req.params.id, title: 'Sample Post' } },
-    });
-  },
-  
-  createPost: (req, res) => {
-    res.status(201).json({
-      success: true,
-      message: 'Post created successfully',
-      data: { post: { id: '123', ...req.body } },
-    });
-  },
-  
-  updatePost: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Post updated successfully',
-      data: { post: { id: req.params.id, ...req.body } },
-    });
-  },
-  
-  deletePost: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Post deleted successfully',
-    });
-  },
-};
+// Changes are only allowed on posts that are not in the trash
+const loadActivePost = loadResource(Post, {
+  canAccess: (post) => !isTrashed(post),
+});
+
+// Nested resources
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/revisions', revisionRoutes);
 
 // Public routes
-router.get('/', validatePagination, optionalAuth, postsController.getAllPosts);
-router.get('/:id', validateObjectId('id'), optionalAuth, postsController.getPost);
+router.get('/', validatePagination, validatePostQuery, optionalAuth, getAllPosts);
+router.get('/slug/:slug', validateSlug('slug'), optionalAuth, getPostBySlug);
+router.get('/trash', authenticateToken, validatePagination, getTrash);
+router.get('/:id', validateObjectId('id'), optionalAuth, getPost);
+router.get('/:id/likes', validateObjectId('id'), optionalAuth, getLikes);
+router.get('/:id/meta', validateObjectId('id'), optionalAuth, getPostMeta);
 
 // Protected routes
-router.post('/', authenticateToken, validatePostCreation, postsController.createPost);
-router.put('/:id', authenticateToken, validateObjectId('id'), validatePostUpdate, postsController.updatePost);
-router.delete('/:id', authenticateToken, validateObjectId('id'), postsController.deletePost);
+router.post('/', authenticateToken, requireVerifiedEmail('posts'), validatePostCreation, createPost);
+router.post(
+  '/:id/like',
+  authenticateToken,
+  requireVerifiedEmail('likes'),
+  validateObjectId('id'),
+  loadResource(Post, {
+    select: '_id status author deletedAt',
+    canAccess: (post, req) => canViewPost(post, req.user),
+  }),
+  toggleLike
+);
+router.put(
+  '/:id',
+  authenticateToken,
+  requireVerifiedEmail('posts'),
+  validateObjectId('id'),
+  loadActivePost,
+  requireOwnership('author'),
+  validatePostUpdate,
+  updatePost
+);
+router.delete(
+  '/:id',
+  authenticateToken,
+  validateObjectId('id'),
+  loadActivePost,
+  requireOwnership('author'),
+  deletePost
+);
+router.post(
+  '/:id/featured-image',
+  authenticateToken,
+  requireVerifiedEmail('uploads'),
+  validateObjectId('id'),
+  loadActivePost,
+  requireOwnership('author'),
+  uploadImage('image'),
+  uploadPostImage
+);
+router.delete(
+  '/:id/featured-image',
+  authenticateToken,
+  validateObjectId('id'),
+  loadActivePost,
+  requireOwnership('author'),
+  deletePostImage
+);
+router.post(
+  '/:id/restore',
+  authenticateToken,
+  validateObjectId('id'),
+  loadResource(Post),
+  requireOwnership('author'),
+  restorePost
+);
 
 module.exports = router;
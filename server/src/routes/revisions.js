@@ -0,0 +1,31 @@
+// routes/revisions.js - Post revisions routes (mounted under /api/posts/:id/revisions)
+
+const express = require('express');
+const Post = require('../models/Post');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} = require('../controllers/revisionsController');
+const { authenticateToken, requireOwnership, requireVerifiedEmail } = require('../middleware/auth');
+const { loadResource } = require('../middleware/resource');
+const { validateObjectId, validateRevisionDiff } = require('../middleware/validation');
+const { isTrashed } = require('../utils/postQuery');
+
+const router = express.Router({ mergeParams: true });
+
+// Revision history is only available to the post's author and admins, and not while the post is trashed
+router.use(
+  authenticateToken,
+  validateObjectId('id'),
+  loadResource(Post, { canAccess: (post) => !isTrashed(post) }),
+  requireOwnership('author')
+);
+
+router.get('/', getRevisions);
+router.get('/diff', validateRevisionDiff, diffRevisions);
+router.get('/:revId', validateObjectId('revId'), getRevision);
+router.post('/:revId/restore', requireVerifiedEmail('posts'), validateObjectId('revId'), restoreRevision);
+
+module.exports = router;
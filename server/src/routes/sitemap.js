@@ -0,0 +1,20 @@
+// routes/sitemap.js - XML sitemap routes
+
+const express = require('express');
+const {
+  getSitemap,
+  getPostsSitemap,
+  getCategoriesSitemap,
+  getAuthorsSitemap,
+} = require('../controllers/sitemapController');
+
+const router = express.Router();
+
+router.get('/sitemap.xml', getSitemap);
+
+// Sitemap index members, used once the site exceeds the per-file URL limit
+router.get('/sitemaps/posts-:page(\\d+).xml', getPostsSitemap);
+router.get('/sitemaps/categories.xml', getCategoriesSitemap);
+router.get('/sitemaps/authors.xml', getAuthorsSitemap);
+
+module.exports = router;
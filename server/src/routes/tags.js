@@ -0,0 +1,27 @@
+// routes/tags.js - Tags routes
+
+const express = require('express');
+const {
+  getTags,
+  autocompleteTags,
+  renameTag,
+  mergeTags,
+} = require('../controllers/tagsController');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const {
+  validateTagQuery,
+  validateTagRename,
+  validateTagMerge,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', validateTagQuery, optionalAuth, getTags);
+router.get('/autocomplete', validateTagQuery, optionalAuth, autocompleteTags);
+
+// Admin only routes
+router.post('/merge', authenticateToken, requireRole('admin'), validateTagMerge, mergeTags);
+router.put('/:tag', authenticateToken, requireRole('admin'), validateTagRename, renameTag);
+
+module.exports = router;
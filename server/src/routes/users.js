@@ -1,49 +1,37 @@
 // routes/users.js - Users routes
 
 const express = require('express');
+const User = require('../models/User');
+const {
+  getAllUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  unlockUser,
+} = require('../controllers/usersController');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const { validateObjectId, validatePagination } = require('../middleware/validation');
+const { loadResource } = require('../middleware/resource');
+const {
+  validateObjectId,
+  validateUserPagination,
+  validateUserUpdate,
+} = require('../middleware/validation');
 
 const router = express.Router();
 
-// Mock controller functions
-const usersController = {
-  getAllUsers: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Users retrieved successfully',
-      data: { users: [], pagination: { page: 1, limit: 10, total: 0 } },
-    });
-  },
-  
-  getUser: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'User retrieved successfully',
-      data: { user: { id: req.params.id, username: 'sampleuser' } },
-    });
-  },
-  
-  updateUser: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'User updated successfully',
-      data: { user: { id: req.params.id, ...req.body } },
-    });
-  },
-  
-  deleteUser: (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'User deleted successfully',
-    });
-  },
-};
-
 // Admin only routes
-router.get('/', authenticateToken, requireRole('admin'), validatePagination, usersController.getAllUsers);
-router.get('/:id', authenticateToken, requireRole('admin'), validateObjectId('id'), usersController.getUser);
-router.put('/:id', authenticateToken, requireRole('admin'), validateObjectId('id'), usersController.updateUser);
-router.delete('/:id', authenticateToken, requireRole('admin'), validateObjectId('id'), usersController.deleteUser);
+router.get('/', authenticateToken, requireRole('admin'), validateUserPagination, getAllUsers);
+router.get('/:id', authenticateToken, requireRole('admin'), validateObjectId('id'), loadResource(User), getUser);
+router.put(
+  '/:id',
+  authenticateToken,
+  requireRole('admin'),
+  validateObjectId('id'),
+  validateUserUpdate,
+  loadResource(User),
+  updateUser
+);
+router.delete('/:id', authenticateToken, requireRole('admin'), validateObjectId('id'), loadResource(User), deleteUser);
+router.post('/:id/unlock', authenticateToken, requireRole('admin'), validateObjectId('id'), loadResource(User), unlockUser);
 
 module.exports = router;
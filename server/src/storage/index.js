@@ -0,0 +1,30 @@
+// storage/index.js - File storage registry
+//
+// A storage adapter implements:
+//   save(key, buffer, contentType) -> Promise<String> public URL of the stored file
+//   removePrefix(prefix)            -> Promise removing every file under the key prefix
+//   keyFromUrl(url)                 -> String key for URLs the adapter owns, otherwise null
+
+const { UPLOAD_DIR, UPLOAD_BASE_URL } = require('../config/env');
+const { createLocalStorage } = require('./localStorage');
+
+let storage = createLocalStorage({ root: UPLOAD_DIR, baseUrl: UPLOAD_BASE_URL });
+
+/**
+ * Get the active storage adapter
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => storage;
+
+/**
+ * Replace the active storage adapter (e.g. with an object storage backend)
+ * @param {Object} adapter - Storage adapter
+ */
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+};
@@ -0,0 +1,55 @@
+// storage/localStorage.js - Local disk storage adapter
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create a storage adapter that writes files below a local directory
+ * @param {Object} options - Adapter options
+ * @param {String} options.root - Directory files are written to
+ * @param {String} options.baseUrl - Public URL prefix the directory is served from
+ * @returns {Object} Storage adapter
+ */
+const createLocalStorage = ({ root, baseUrl }) => {
+  const rootDir = path.resolve(root);
+  const urlPrefix = `${baseUrl.replace(/\/+$/, '')}/`;
+
+  /**
+   * Resolve a storage key to a path, refusing keys that escape the root directory
+   * @param {String} key - Storage key
+   * @returns {String} Absolute file path
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    root: rootDir,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return urlPrefix + key;
+    },
+
+    async removePrefix(prefix) {
+      await fs.rm(resolveKey(prefix), { recursive: true, force: true });
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(urlPrefix)) {
+        return null;
+      }
+      return url.slice(urlPrefix.length);
+    },
+  };
+};
+
+module.exports = {
+  createLocalStorage,
+};
@@ -1,10 +1,12 @@
 // utils/auth.js - Authentication utilities
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { JWT_SECRET, JWT_EXPIRE } = require('../config/env');
+const { JWT_SECRET, JWT_EXPIRE, EMAIL_VERIFICATION_EXPIRE } = require('../config/env');
 
 /**
  * Generate JWT token for user
+ * Each token gets a unique id (jti) so it can be revoked on its own
  * @param {Object} user - User object
  * @returns {String} JWT token
  */
@@ -18,6 +20,7 @@ const generateToken = (user) => {
 
   return jwt.sign(payload, JWT_SECRET, {
     expiresIn: JWT_EXPIRE,
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -52,12 +55,14 @@ const extractToken = (authHeader) => {
 
 /**
  * Generate password reset token
+ * The token id (jti) lets the reset endpoint accept each token only once
  * @param {String} userId - User ID
  * @returns {String} Reset token
  */
 const generateResetToken = (userId) => {
   return jwt.sign({ userId, type: 'reset' }, JWT_SECRET, {
     expiresIn: '1h',
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -78,6 +83,56 @@ const verifyResetToken = (token) => {
   }
 };
 
+/**
+ * Generate email verification token
+ * The address is signed in, so the link stops working if the email changes
+ * @param {Object} user - User object
+ * @returns {String} Verification token
+ */
+const generateVerificationToken = (user) => {
+  return jwt.sign({ userId: user._id, email: user.email, type: 'verify' }, JWT_SECRET, {
+    expiresIn: EMAIL_VERIFICATION_EXPIRE,
+  });
+};
+
+/**
+ * Verify email verification token
+ * @param {String} token - Verification token
+ * @returns {Object} Token payload
+ */
+const verifyVerificationToken = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.type !== 'verify') {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  } catch (error) {
+    throw new Error('Invalid or expired verification token');
+  }
+};
+
+/**
+ * Work out how long further logins are blocked after a number of consecutive failures
+ * Below backoffAfter there is no delay; from there the delay doubles with every failure,
+ * until lockoutThreshold locks logins for lockoutMs
+ * @param {Number} failures - Consecutive failures so far
+ * @param {Object} policy - { backoffAfter, baseMs, lockoutThreshold, lockoutMs }
+ * @returns {Object} { delayMs, locked }
+ */
+const loginFailureDelay = (failures, { backoffAfter, baseMs, lockoutThreshold, lockoutMs }) => {
+  if (failures >= lockoutThreshold) {
+    return { delayMs: lockoutMs, locked: true };
+  }
+
+  if (failures >= backoffAfter) {
+    const delayMs = Math.min(baseMs * 2 ** (failures - backoffAfter), lockoutMs);
+    return { delayMs, locked: false };
+  }
+
+  return { delayMs: 0, locked: false };
+};
+
 /**
  * Check if user has required role
  * @param {String} userRole - User's role
@@ -99,5 +154,8 @@ module.exports = {
   extractToken,
   generateResetToken,
   verifyResetToken,
+  generateVerificationToken,
+  verifyVerificationToken,
+  loginFailureDelay,
   hasRole,
 };
@@ -0,0 +1,138 @@
+// utils/diff.js - Text diff utilities
+
+// Edit distance explored before giving up on a minimal diff; bounds work at O((N + M) * D)
+// and the stored search trace at O(D^2) whatever the size of the texts
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Find the shortest edit script between two line arrays (Myers' O(ND) algorithm)
+ * @param {Array<String>} a - Original lines
+ * @param {Array<String>} b - Changed lines
+ * @param {Number} maxDistance - Largest edit distance to search
+ * @returns {Array<Object>|null} Operations, or null if the texts differ by more than maxDistance
+ */
+const shortestEditScript = (a, b, maxDistance) => {
+  const max = Math.min(a.length + b.length, maxDistance);
+  const offset = max + 1;
+  // v[offset + k] = furthest x reached on diagonal k (k = x - y)
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d += 1) {
+    trace.push(v.slice());
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return backtrack(a, b, trace, offset);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Walk the search trace back from the end to recover the edit operations
+ * @param {Array<String>} a - Original lines
+ * @param {Array<String>} b - Changed lines
+ * @param {Array<Int32Array>} trace - Diagonal state recorded before each search round
+ * @param {Number} offset - Index of diagonal 0 in the trace arrays
+ * @returns {Array<Object>} Operations
+ */
+const backtrack = (a, b, trace, offset) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'unchanged', line: a[x - 1] });
+      x -= 1;
+      y -= 1;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'added', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'removed', line: a[x - 1] });
+      }
+      x = prevX;
+      y = prevY;
+    }
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Compute a line-based diff between two texts
+ * Common leading and trailing lines are matched first; if the remaining lines differ by more
+ * than MAX_EDIT_DISTANCE edits they are reported as removed and re-added as a whole
+ * @param {String} oldText - Original text
+ * @param {String} newText - Changed text
+ * @param {Object} options - Options
+ * @param {Number} options.maxDistance - Largest edit distance to search for a minimal diff
+ * @returns {Array<Object>} Operations ({ type: 'unchanged'|'removed'|'added', line })
+ */
+const diffLines = (oldText = '', newText = '', { maxDistance = MAX_EDIT_DISTANCE } = {}) => {
+  const a = oldText === '' ? [] : oldText.split('\n');
+  const b = newText === '' ? [] : newText.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const oldMiddle = a.slice(start, endA);
+  const newMiddle = b.slice(start, endB);
+  const middle = shortestEditScript(oldMiddle, newMiddle, maxDistance) || [
+    ...oldMiddle.map(line => ({ type: 'removed', line })),
+    ...newMiddle.map(line => ({ type: 'added', line })),
+  ];
+
+  return [
+    ...a.slice(0, start).map(line => ({ type: 'unchanged', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'unchanged', line })),
+  ];
+};
+
+/**
+ * Format diff operations as text with "+ ", "- " and "  " line prefixes
+ * @param {Array<Object>} ops - Operations from diffLines
+ * @returns {String} Textual diff
+ */
+const formatDiff = (ops) => {
+  const prefixes = { unchanged: '  ', removed: '- ', added: '+ ' };
+  return ops.map(op => `${prefixes[op.type]}${op.line}`).join('\n');
+};
+
+module.exports = {
+  diffLines,
+  formatDiff,
+};
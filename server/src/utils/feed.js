@@ -0,0 +1,92 @@
+// utils/feed.js - RSS 2.0 and Atom 1.0 feed builders
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;',
+};
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {String} Escaped text
+ */
+const escapeXml = (value = '') => String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - Feed metadata { title, description, link, selfUrl, updated }
+ * @param {Array<Object>} items - Entries { id, title, link, summary, author, published, categories }
+ * @returns {String} XML document
+ */
+const buildRss = (feed, items) => {
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.link)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <description>${escapeXml(item.summary)}</description>`,
+    `      <dc:creator>${escapeXml(item.author)}</dc:creator>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    ...item.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} feed - Feed metadata { id, title, description, link, selfUrl, updated }
+ * @param {Array<Object>} items - Entries { id, title, link, summary, author, published, updated, categories }
+ * @returns {String} XML document
+ */
+const buildAtom = (feed, items) => {
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(item.link)}"/>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    `    <author><name>${escapeXml(item.author)}</name></author>`,
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    ...item.categories.map(category => `    <category term="${escapeXml(category)}"/>`),
+    '  </entry>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  escapeXml,
+  buildRss,
+  buildAtom,
+};
@@ -0,0 +1,119 @@
+// utils/images.js - Image processing and storage helpers
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('../storage');
+const { AppError } = require('../middleware/errorHandler');
+const { escapeRegExp } = require('./search');
+const logger = require('./logger');
+
+const MAX_IMAGE_WIDTH = 1600;
+
+// Thumbnail widths generated for every upload
+const THUMBNAIL_SIZES = {
+  small: 150,
+  medium: 400,
+  large: 800,
+};
+
+const UUID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const FILE_PATTERN = `(?:${['original', ...Object.keys(THUMBNAIL_SIZES)].join('|')})\\.webp`;
+
+/**
+ * Check that a storage key is an image written by storeImage into the given folder
+ * @param {String} key - Storage key
+ * @param {String} folder - Owning folder, e.g. posts/<id>
+ * @returns {Boolean} Whether the key has the exact <folder>/<uuid>/<file> shape
+ */
+const isImageKey = (key, folder) => {
+  return new RegExp(`^${escapeRegExp(folder)}/${UUID_PATTERN}/${FILE_PATTERN}$`).test(key);
+};
+
+/**
+ * Resize an image to a maximum width and encode it as WebP
+ * @param {Object} image - sharp instance
+ * @param {Number} width - Maximum width
+ * @returns {Promise<Buffer>} Encoded image
+ */
+const renderWebp = (image, width) => {
+  return image
+    .clone()
+    .resize({ width, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+};
+
+/**
+ * Store an uploaded image with its thumbnails
+ * Every image is re-encoded, which also drops EXIF metadata from the original file
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {String} folder - Storage folder, e.g. posts/<id>
+ * @returns {Promise<Object>} { url, thumbnails: { small, medium, large } }
+ */
+const storeImage = async (buffer, folder) => {
+  const image = sharp(buffer, { failOn: 'error' }).rotate();
+
+  try {
+    await image.metadata();
+  } catch (error) {
+    throw new AppError('Uploaded file is not a valid image', 400);
+  }
+
+  const storage = getStorage();
+  const prefix = `${folder}/${crypto.randomUUID()}`;
+
+  const url = await storage.save(
+    `${prefix}/original.webp`,
+    await renderWebp(image, MAX_IMAGE_WIDTH),
+    'image/webp'
+  );
+
+  const thumbnails = {};
+  for (const [size, width] of Object.entries(THUMBNAIL_SIZES)) {
+    thumbnails[size] = await storage.save(
+      `${prefix}/${size}.webp`,
+      await renderWebp(image, width),
+      'image/webp'
+    );
+  }
+
+  return { url, thumbnails };
+};
+
+/**
+ * Remove a stored image and its thumbnails
+ * Only URLs pointing at an image stored under the owner's folder are removed; anything else
+ * (external links, other owners' images, arbitrary paths) is left alone
+ * Failures are logged rather than thrown so cleanup never blocks the calling request
+ * @param {String} url - Image URL as returned by storeImage
+ * @param {String} folder - Folder the image was stored in, e.g. posts/<id>
+ * @returns {Promise<Boolean>} Whether stored files were removed
+ */
+const removeImage = async (url, folder) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+
+  if (!key) {
+    return false;
+  }
+
+  if (!isImageKey(key, folder)) {
+    logger.warn('Image cleanup skipped - URL outside owner folder', { url, folder });
+    return false;
+  }
+
+  try {
+    await storage.removePrefix(path.posix.dirname(key));
+    return true;
+  } catch (error) {
+    logger.warn('Image cleanup failed', { url, error: error.message });
+    return false;
+  }
+};
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  storeImage,
+  removeImage,
+};
@@ -0,0 +1,99 @@
+// utils/markdown.js - Markdown rendering and plain-text helpers
+
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const WORDS_PER_MINUTE = 200;
+const DEFAULT_EXCERPT_LENGTH = 150;
+
+// Tags and attributes allowed in rendered post content; anything else (scripts,
+// iframes, inline event handlers, style attributes) is stripped
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del', 'h1', 'h2']),
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+  },
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {String} markdown - Markdown source
+ * @returns {String} Safe HTML
+ */
+const renderMarkdown = (markdown = '') => {
+  const html = marked.parse(markdown, { gfm: true, async: false });
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Strip markup from rendered HTML, leaving readable plain text
+ * @param {String} html - HTML to flatten
+ * @returns {String} Plain text with collapsed whitespace
+ */
+const toPlainText = (html = '') => {
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, '\'')
+    .replace(/&amp;/g, '&');
+
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Count the words in plain text
+ * @param {String} text - Plain text
+ * @returns {Number} Word count
+ */
+const countWords = (text = '') => {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  return words.length;
+};
+
+/**
+ * Estimate reading time for a number of words
+ * @param {Number} wordCount - Words in the text
+ * @returns {Number} Whole minutes, at least 1 for non-empty text
+ */
+const readingTimeMinutes = (wordCount = 0) => {
+  return wordCount > 0 ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0;
+};
+
+/**
+ * Shorten plain text to a maximum length without cutting words in half
+ * @param {String} text - Plain text
+ * @param {Number} maxLength - Maximum length, including the trailing ellipsis
+ * @returns {String} Excerpt
+ */
+const buildExcerpt = (text = '', maxLength = DEFAULT_EXCERPT_LENGTH) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  const trimmed = lastSpace > 0 ? cut.slice(0, lastSpace) : cut;
+
+  return `${trimmed.replace(/[\s.,;:!?-]+$/, '')}...`;
+};
+
+module.exports = {
+  renderMarkdown,
+  toPlainText,
+  countWords,
+  readingTimeMinutes,
+  buildExcerpt,
+};
@@ -0,0 +1,181 @@
+// utils/pagination.js - Pagination utilities
+
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Split a sort string into field and direction
+ * @param {String} sort - Sort field, prefixed with "-" for descending order
+ * @returns {Object} { field, direction } with direction 1 or -1
+ */
+const parseSort = (sort) => ({
+  field: sort.replace(/^-/, ''),
+  direction: sort.startsWith('-') ? -1 : 1,
+});
+
+/**
+ * Build a MongoDB sort specification with _id as a stable tie-breaker
+ * @param {String} sort - Sort field, prefixed with "-" for descending order
+ * @returns {Object} MongoDB sort specification
+ */
+const buildSortSpec = (sort) => {
+  const { field, direction } = parseSort(sort);
+  return { [field]: direction, _id: direction };
+};
+
+/**
+ * Encode an opaque cursor pointing just after a document
+ * @param {Object} doc - Last document of the current page
+ * @param {String} sort - Sort string the page was fetched with
+ * @returns {String} Base64url cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const { field } = parseSort(sort);
+  const value = doc.get ? doc.get(field) : doc[field];
+
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? { $date: value.toISOString() } : value,
+    id: String(doc._id),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Convert a decoded cursor value back to its query value
+ * Only strings, finite numbers and { $date } wrappers are produced by encodeCursor;
+ * anything else (e.g. an object carrying query operators) is rejected
+ * @param {*} value - Raw cursor value
+ * @returns {String|Number|Date|undefined} Query value, or undefined if not allowed
+ */
+const parseCursorValue = (value) => {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+
+  if (value && typeof value === 'object' && !Array.isArray(value)
+    && Object.keys(value).length === 1 && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+
+  return undefined;
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {String} cursor - Base64url cursor
+ * @param {String} sort - Sort string of the current request
+ * @returns {Object} { value, id }
+ * @throws {AppError} If the cursor is malformed or was issued for another sort order
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  if (!payload || !/^[a-f0-9]{24}$/.test(payload.id) || !('v' in payload)) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  if (payload.s !== sort) {
+    throw new AppError('Pagination cursor does not match the requested sort order', 400);
+  }
+
+  const value = parseCursorValue(payload.v);
+
+  if (value === undefined) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  return { value, id: payload.id };
+};
+
+/**
+ * Build a filter selecting documents after the cursor position
+ * @param {String} sort - Sort string
+ * @param {Object} position - Decoded cursor ({ value, id })
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = (sort, { value, id }) => {
+  const { field, direction } = parseSort(sort);
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } },
+    ],
+  };
+};
+
+/**
+ * Resolve the filter, skip and limit for a list request in page or cursor mode
+ * @param {Object} filter - Base MongoDB filter
+ * @param {Object} options - Validated pagination options
+ * @param {Number} options.page - Page number (page mode)
+ * @param {Number} options.limit - Page size
+ * @param {String} options.sort - Sort string
+ * @param {String} options.cursor - Cursor (cursor mode)
+ * @returns {Object} { filter, skip, limit } where limit fetches one extra document
+ */
+const buildPageQuery = (filter, { page, limit, sort, cursor }) => {
+  if (cursor) {
+    return {
+      filter: { $and: [filter, buildCursorFilter(sort, decodeCursor(cursor, sort))] },
+      skip: 0,
+      limit: limit + 1,
+    };
+  }
+
+  return {
+    filter,
+    skip: (page - 1) * limit,
+    limit: limit + 1,
+  };
+};
+
+/**
+ * Trim the extra document and build the pagination envelope
+ * @param {Array} docs - Documents fetched with buildPageQuery's limit
+ * @param {Object} options - Validated pagination options
+ * @param {Number} total - Total matching documents (page mode only)
+ * @returns {Object} { items, pagination }
+ */
+const buildPageResult = (docs, { page, limit, sort, cursor }, total) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore && items.length > 0 ? encodeCursor(items[items.length - 1], sort) : null;
+
+  if (cursor) {
+    return {
+      items,
+      pagination: { limit, hasMore, nextCursor },
+    };
+  }
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor,
+    },
+  };
+};
+
+module.exports = {
+  parseSort,
+  buildSortSpec,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  buildPageQuery,
+  buildPageResult,
+};
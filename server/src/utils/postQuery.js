@@ -0,0 +1,153 @@
+// utils/postQuery.js - Post list query helpers
+
+const Category = require('../models/Category');
+const { AppError } = require('../middleware/errorHandler');
+const { buildSortSpec } = require('./pagination');
+
+/**
+ * Build the filter limiting which posts a user may see
+ * Anonymous users see published posts, authors also see their own posts, admins see everything
+ * Trashed posts are hidden from everyone outside the trash listing
+ * @param {Object} user - Authenticated user (optional)
+ * @returns {Object} MongoDB filter
+ */
+const buildVisibilityFilter = (user) => {
+  if (!user) {
+    return { status: 'published', deletedAt: null };
+  }
+
+  if (user.role === 'admin') {
+    return { deletedAt: null };
+  }
+
+  return {
+    deletedAt: null,
+    $or: [
+      { status: 'published' },
+      { author: user._id },
+    ],
+  };
+};
+
+/**
+ * Check whether a post has been moved to the trash
+ * @param {Object} post - Post document (deletedAt must be loaded)
+ * @returns {Boolean} True if the post is trashed
+ */
+const isTrashed = (post) => Boolean(post.deletedAt);
+
+/**
+ * Check whether a user may see a post
+ * @param {Object} post - Post document (status, author and deletedAt must be loaded)
+ * @param {Object} user - Authenticated user (optional)
+ * @returns {Boolean} True if the post is visible
+ */
+const canViewPost = (post, user) => {
+  if (isTrashed(post)) {
+    return false;
+  }
+
+  if (post.status === 'published') {
+    return true;
+  }
+
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  const authorId = post.author && (post.author._id || post.author);
+  return Boolean(authorId) && authorId.toString() === user._id.toString();
+};
+
+/**
+ * Build a MongoDB filter for listing posts from validated query parameters
+ * @param {Object} query - Validated request query
+ * @param {String} query.q - Full-text search string
+ * @param {String} query.category - Category id
+ * @param {String} query.tag - Tag
+ * @param {String} query.author - Author id
+ * @param {String} query.status - Post status
+ * @param {Date} query.from - Earliest publication date (inclusive)
+ * @param {Date} query.to - Latest publication date (inclusive)
+ * @param {Object} user - Authenticated user (optional), used to apply visibility rules
+ * @returns {Object} MongoDB filter
+ */
+const buildPostFilter = (query = {}, user) => {
+  const filter = {};
+
+  if (query.q) {
+    filter.$text = { $search: query.q };
+  }
+
+  if (query.category) {
+    filter.category = query.category;
+  }
+
+  if (query.tag) {
+    filter.tags = query.tag.toLowerCase();
+  }
+
+  if (query.author) {
+    filter.author = query.author;
+  }
+
+  if (query.status) {
+    filter.status = query.status;
+  }
+
+  if (query.from || query.to) {
+    filter.publishedAt = {};
+    if (query.from) {
+      filter.publishedAt.$gte = query.from;
+    }
+    if (query.to) {
+      filter.publishedAt.$lte = query.to;
+    }
+  }
+
+  const visibility = buildVisibilityFilter(user);
+  if (Object.keys(visibility).length > 0) {
+    filter.$and = [visibility];
+  }
+
+  return filter;
+};
+
+/**
+ * Build a MongoDB sort specification
+ * Full-text searches rank by relevance first and use the requested sort as a tie-breaker
+ * @param {String} sort - Sort field, prefixed with "-" for descending order
+ * @param {Boolean} byTextScore - Whether to rank by text score first
+ * @returns {Object} MongoDB sort specification
+ */
+const buildPostSort = (sort, byTextScore = false) => {
+  if (byTextScore) {
+    return { score: { $meta: 'textScore' }, ...buildSortSpec(sort) };
+  }
+
+  return buildSortSpec(sort);
+};
+
+/**
+ * Ensure the category a post refers to exists
+ * @param {String} categoryId - Category id
+ */
+const assertCategoryExists = async (categoryId) => {
+  const exists = await Category.exists({ _id: categoryId });
+  if (!exists) {
+    throw new AppError('Category not found', 400);
+  }
+};
+
+module.exports = {
+  buildVisibilityFilter,
+  canViewPost,
+  isTrashed,
+  buildPostFilter,
+  buildPostSort,
+  assertCategoryExists,
+};
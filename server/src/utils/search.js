@@ -0,0 +1,127 @@
+// utils/search.js - Text search utilities
+
+const DEFAULT_SNIPPET_RADIUS = 60;
+
+/**
+ * Escape HTML special characters
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text = '') => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the positive search terms from a MongoDB $text search string
+ * Negated terms (prefixed with "-") are dropped and quoted phrases are kept whole
+ * @param {String} query - Search string
+ * @returns {Array<String>} Lowercase search terms
+ */
+const getSearchTerms = (query = '') => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim().toLowerCase();
+
+    if (!negated && term) {
+      terms.push(term);
+    }
+  }
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Build a regular expression matching any of the terms at a word start
+ * @param {Array<String>} terms - Search terms
+ * @returns {RegExp|null} Case-insensitive pattern or null when there are no terms
+ */
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+  return new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})`, 'gi');
+};
+
+/**
+ * Escape text and wrap matching terms in <mark> tags
+ * @param {String} text - Raw text
+ * @param {Array<String>} terms - Search terms
+ * @returns {String} HTML-safe highlighted text
+ */
+const highlight = (text = '', terms = []) => {
+  const pattern = buildTermPattern(terms);
+  if (!pattern) {
+    return escapeHtml(text);
+  }
+
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+/**
+ * Build a highlighted snippet around the first match in the text
+ * @param {String} text - Raw text
+ * @param {Array<String>} terms - Search terms
+ * @param {Number} radius - Characters of context on each side of the match
+ * @returns {String} HTML-safe snippet
+ */
+const buildSnippet = (text = '', terms = [], radius = DEFAULT_SNIPPET_RADIUS) => {
+  const pattern = buildTermPattern(terms);
+  const match = pattern ? pattern.exec(text) : null;
+  const matchIndex = match ? match.index : 0;
+
+  let start = Math.max(0, matchIndex - radius);
+  let end = Math.min(text.length, matchIndex + (match ? match[0].length : 0) + radius);
+
+  // Avoid cutting words in half at either edge
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchIndex) {
+      start = space + 1;
+    }
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matchIndex) {
+      end = space;
+    }
+  }
+
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+
+  return `${prefix}${highlight(text.slice(start, end), terms)}${suffix}`;
+};
+
+module.exports = {
+  escapeHtml,
+  escapeRegExp,
+  getSearchTerms,
+  highlight,
+  buildSnippet,
+};
@@ -0,0 +1,99 @@
+// utils/seo.js - SEO, Open Graph and structured data helpers
+
+const { buildExcerpt } = require('./markdown');
+const { postUrl, authorUrl } = require('./siteUrls');
+const { SITE_NAME, SITE_URL } = require('../config/env');
+
+// Limits matching the Post schema's seoTitle and seoDescription caps
+const SEO_TITLE_LENGTH = 60;
+const SEO_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Resolve the SEO title, falling back to the post title
+ * @param {Object} post - Post document
+ * @returns {String} Title of at most SEO_TITLE_LENGTH characters
+ */
+const resolveSeoTitle = (post) => {
+  const title = (post.seoTitle || '').trim();
+  return title || buildExcerpt(post.title, SEO_TITLE_LENGTH);
+};
+
+/**
+ * Resolve the SEO description, falling back to the excerpt
+ * @param {Object} post - Post document
+ * @returns {String} Description of at most SEO_DESCRIPTION_LENGTH characters
+ */
+const resolveSeoDescription = (post) => {
+  const description = (post.seoDescription || '').trim();
+  return description || buildExcerpt((post.excerpt || '').trim(), SEO_DESCRIPTION_LENGTH);
+};
+
+/**
+ * Build the full meta bundle for a post
+ * @param {Object} post - Post document with author and category populated
+ * @param {Object} options - Options
+ * @param {String} options.assetBaseUrl - Origin used to make relative image URLs absolute
+ * @returns {Object} { title, description, canonicalUrl, openGraph, twitter, jsonLd }
+ */
+const buildPostMeta = (post, { assetBaseUrl = SITE_URL } = {}) => {
+  const title = resolveSeoTitle(post);
+  const description = resolveSeoDescription(post);
+  const canonicalUrl = postUrl(post);
+  const image = post.featuredImage ? new URL(post.featuredImage, assetBaseUrl).href : null;
+  const author = post.author && post.author.username ? post.author : null;
+  const section = post.category && post.category.name ? post.category.name : null;
+  const published = post.publishedAt || post.createdAt;
+
+  const openGraph = {
+    'og:type': 'article',
+    'og:site_name': SITE_NAME,
+    'og:title': title,
+    'og:description': description,
+    'og:url': canonicalUrl,
+    ...(image && { 'og:image': image }),
+    'article:published_time': published.toISOString(),
+    'article:modified_time': post.updatedAt.toISOString(),
+    ...(author && { 'article:author': authorUrl(author) }),
+    ...(section && { 'article:section': section }),
+    'article:tag': [...post.tags],
+  };
+
+  const twitter = {
+    'twitter:card': image ? 'summary_large_image' : 'summary',
+    'twitter:title': title,
+    'twitter:description': description,
+    ...(image && { 'twitter:image': image }),
+  };
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: title,
+    description,
+    url: canonicalUrl,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+    datePublished: published.toISOString(),
+    dateModified: post.updatedAt.toISOString(),
+    ...(author && { author: { '@type': 'Person', name: author.fullName, url: authorUrl(author) } }),
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: SITE_URL },
+    ...(image && { image }),
+    ...(section && { articleSection: section }),
+    ...(post.tags.length && { keywords: post.tags.join(', ') }),
+    ...(post.wordCount && { wordCount: post.wordCount }),
+  };
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    openGraph,
+    twitter,
+    jsonLd,
+  };
+};
+
+module.exports = {
+  resolveSeoTitle,
+  resolveSeoDescription,
+  buildPostMeta,
+};
@@ -0,0 +1,54 @@
+// utils/siteUrls.js - Public site URL builders
+
+const { SITE_URL } = require('../config/env');
+
+/**
+ * Public URL of a post page
+ * @param {Object} post - Post with slug
+ * @returns {String} Absolute URL
+ */
+const postUrl = (post) => `${SITE_URL}/posts/${post.slug}`;
+
+/**
+ * Public URL of a category listing page
+ * @param {Object} category - Category with slug
+ * @returns {String} Absolute URL
+ */
+const categoryUrl = (category) => `${SITE_URL}/categories/${category.slug}`;
+
+/**
+ * Public URL of a tag listing page
+ * @param {String} tag - Tag
+ * @returns {String} Absolute URL
+ */
+const tagUrl = (tag) => `${SITE_URL}/tags/${encodeURIComponent(tag)}`;
+
+/**
+ * Public URL of an author listing page
+ * @param {Object} user - User with username
+ * @returns {String} Absolute URL
+ */
+const authorUrl = (user) => `${SITE_URL}/authors/${user.username}`;
+
+/**
+ * Public URL of the password reset page for a reset token
+ * @param {String} token - Password reset token
+ * @returns {String} Absolute URL
+ */
+const passwordResetUrl = (token) => `${SITE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+/**
+ * Public URL of the email verification page for a verification token
+ * @param {String} token - Email verification token
+ * @returns {String} Absolute URL
+ */
+const emailVerificationUrl = (token) => `${SITE_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+module.exports = {
+  postUrl,
+  categoryUrl,
+  tagUrl,
+  authorUrl,
+  passwordResetUrl,
+  emailVerificationUrl,
+};
@@ -0,0 +1,46 @@
+// utils/sitemap.js - XML sitemap builders (sitemaps.org protocol 0.9)
+
+const { escapeXml } = require('./feed');
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+/**
+ * Render a <loc>/<lastmod> pair
+ * @param {Object} entry - { loc, lastmod }
+ * @returns {Array<String>} XML lines
+ */
+const entryLines = ({ loc, lastmod }) => [
+  `    <loc>${escapeXml(loc)}</loc>`,
+  ...(lastmod ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`] : []),
+];
+
+/**
+ * Build a sitemap listing page URLs
+ * @param {Array<Object>} urls - Entries { loc, lastmod }
+ * @returns {String} XML document
+ */
+const buildUrlset = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+  ...urls.map(url => ['  <url>', ...entryLines(url), '  </url>'].join('\n')),
+  '</urlset>',
+  '',
+].join('\n');
+
+/**
+ * Build a sitemap index pointing at other sitemaps
+ * @param {Array<Object>} sitemaps - Entries { loc, lastmod }
+ * @returns {String} XML document
+ */
+const buildSitemapIndex = (sitemaps) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+  ...sitemaps.map(sitemap => ['  <sitemap>', ...entryLines(sitemap), '  </sitemap>'].join('\n')),
+  '</sitemapindex>',
+  '',
+].join('\n');
+
+module.exports = {
+  buildUrlset,
+  buildSitemapIndex,
+};
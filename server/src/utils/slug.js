@@ -0,0 +1,60 @@
+// utils/slug.js - Slug utilities
+
+/**
+ * Convert text into a URL-friendly slug
+ * @param {String} text - Text to convert
+ * @returns {String} Slug (lowercase letters, numbers and hyphens)
+ */
+const slugify = (text = '') => {
+  return text
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Generate a slug that no other document uses, appending -2, -3, ... on collision
+ * @param {Object} Model - Mongoose model to check against
+ * @param {String} text - Text to derive the slug from
+ * @param {Object} options - Options
+ * @param {String} options.excludeId - Document to ignore (the one being saved)
+ * @param {Array<String>} options.fields - Fields whose values count as taken
+ * @param {String} options.fallback - Slug base when text has no usable characters
+ * @returns {Promise<String>} Unique slug
+ */
+const generateUniqueSlug = async (Model, text, { excludeId, fields = ['slug'], fallback = 'item' } = {}) => {
+  const base = slugify(text) || fallback;
+  const pattern = new RegExp(`^${base}(?:-\\d+)?$`);
+
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+  const taken = await Model.find({
+    ...exclude,
+    $or: fields.map(field => ({ [field]: pattern })),
+  }).select(fields.join(' ')).lean();
+
+  const used = new Set();
+  taken.forEach(doc => {
+    fields.forEach(field => {
+      [].concat(doc[field] || []).forEach(value => used.add(value));
+    });
+  });
+
+  if (!used.has(base)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+
+  return `${base}-${suffix}`;
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug,
+};
@@ -0,0 +1,26 @@
+// utils/viewer.js - Viewer identification utilities
+
+const crypto = require('crypto');
+
+/**
+ * Build a stable key identifying who made a request
+ * Authenticated users are keyed by id; anonymous visitors by a hash of IP and user agent
+ * @param {Object} req - Express request object
+ * @returns {String} Viewer key
+ */
+const getViewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.ip}|${req.get('User-Agent') || ''}`)
+    .digest('hex');
+
+  return `anon:${fingerprint}`;
+};
+
+module.exports = {
+  getViewerKey,
+};
@@ -0,0 +1,25 @@
+// tests/factories.js - Shared test data factories for integration tests
+
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+
+/**
+ * Build a post factory for a test file
+ * Defaults are resolved on every call, so they can refer to fixtures created in beforeEach
+ * @param {Function} getDefaults - Returns the file's defaults (e.g. author and category)
+ * @returns {Function} (overrides) => Promise resolving to a published post created directly in the database
+ */
+const postFactory = (getDefaults = () => ({})) => (overrides = {}) => Post.create({
+  title: 'Test Post',
+  content: 'This is a test post with enough content to be valid',
+  slug: `test-post-${new mongoose.Types.ObjectId()}`,
+  category: new mongoose.Types.ObjectId(),
+  author: new mongoose.Types.ObjectId(),
+  status: 'published',
+  ...getDefaults(),
+  ...overrides,
+});
+
+module.exports = {
+  postFactory,
+};
@@ -0,0 +1,184 @@
+// categories.test.js - Integration tests for categories API endpoints
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { postFactory } = require('../factories');
+
+let adminToken;
+let userToken;
+let authorId;
+
+const createTestPost = postFactory(() => ({ author: authorId }));
+
+beforeEach(async () => {
+  const admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  const user = await User.create({
+    username: 'regularuser',
+    email: 'user@example.com',
+    password: 'password123',
+  });
+
+  adminToken = generateToken(admin);
+  userToken = generateToken(user);
+  authorId = user._id;
+});
+
+describe('POST /api/categories', () => {
+  it('should create a category and derive its slug when admin', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Web Development', description: 'All things web' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.category).toMatchObject({
+      name: 'Web Development',
+      slug: 'web-development',
+      parent: null,
+    });
+  });
+
+  it('should suffix a derived slug that is already taken', async () => {
+    await Category.create({ name: 'Web Development' });
+
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Web-Development' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.category.slug).toBe('web-development-2');
+  });
+
+  it('should create a nested category', async () => {
+    const parent = await Category.create({ name: 'Programming' });
+
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'JavaScript', parent: parent._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.category.parent).toBe(parent._id.toString());
+  });
+
+  it('should return 403 for non-admin users', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Not Allowed' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for a missing parent', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Orphan', parent: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/categories', () => {
+  it('should list categories with published post counts', async () => {
+    const news = await Category.create({ name: 'News' });
+    await Category.create({ name: 'Empty' });
+    await createTestPost({ category: news._id, status: 'published' });
+    await createTestPost({ category: news._id, status: 'published' });
+    await createTestPost({ category: news._id, status: 'draft' });
+    await createTestPost({ category: news._id, status: 'published', deletedAt: new Date() });
+
+    const res = await request(app).get('/api/categories');
+
+    expect(res.status).toBe(200);
+    const counts = Object.fromEntries(res.body.data.categories.map(c => [c.name, c.postCount]));
+    expect(counts).toEqual({ News: 2, Empty: 0 });
+  });
+});
+
+describe('GET /api/categories/:id', () => {
+  it('should not count trashed posts', async () => {
+    const news = await Category.create({ name: 'News' });
+    await createTestPost({ category: news._id, status: 'published' });
+    await createTestPost({ category: news._id, status: 'published', deletedAt: new Date() });
+
+    const res = await request(app).get(`/api/categories/${news._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.category.postCount).toBe(1);
+  });
+});
+
+describe('PUT /api/categories/:id', () => {
+  it('should reject making a category its own ancestor', async () => {
+    const parent = await Category.create({ name: 'Parent' });
+    const child = await Category.create({ name: 'Child', parent: parent._id });
+
+    const res = await request(app)
+      .put(`/api/categories/${parent._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parent: child._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/categories/:id', () => {
+  it('should delete an empty category', async () => {
+    const category = await Category.create({ name: 'Disposable' });
+
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Category.findById(category._id)).toBeNull();
+  });
+
+  it('should refuse to delete a category that still has posts', async () => {
+    const category = await Category.create({ name: 'Busy' });
+    await createTestPost({ category: category._id });
+
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+    expect(await Category.findById(category._id)).not.toBeNull();
+  });
+
+  it('should move posts to the reassignment target before deleting', async () => {
+    const source = await Category.create({ name: 'Source' });
+    const target = await Category.create({ name: 'Target' });
+    const post = await createTestPost({ category: source._id });
+
+    const res = await request(app)
+      .delete(`/api/categories/${source._id}?reassignTo=${target._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    const moved = await Post.findById(post._id);
+    expect(moved.category.toString()).toBe(target._id.toString());
+  });
+
+  it('should return 404 for a missing category', async () => {
+    const res = await request(app)
+      .delete(`/api/categories/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
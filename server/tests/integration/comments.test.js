@@ -0,0 +1,229 @@
+// comments.test.js - Integration tests for post comments endpoints
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const { generateToken } = require('../../src/utils/auth');
+const { COMMENT_EDIT_WINDOW_MS } = require('../../src/config/env');
+
+let author;
+let authorToken;
+let otherToken;
+let adminToken;
+let post;
+
+beforeEach(async () => {
+  author = await User.create({
+    username: 'commenter',
+    email: 'commenter@example.com',
+    password: 'password123',
+  });
+  const other = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+
+  authorToken = generateToken(author);
+  otherToken = generateToken(other);
+  adminToken = generateToken(admin);
+
+  post = await Post.create({
+    title: 'Commented Post',
+    content: 'This post is used to test threaded comments',
+    slug: 'commented-post',
+    category: new mongoose.Types.ObjectId(),
+    author: author._id,
+    status: 'published',
+  });
+});
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should add a comment when authenticated', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Great post!' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.comment).toMatchObject({
+      content: 'Great post!',
+      post: post._id.toString(),
+      parent: null,
+    });
+    expect(res.body.data.comment.author.username).toBe('commenter');
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/comments`)
+      .send({ content: 'Anonymous comment' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 404 for a missing post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${new mongoose.Types.ObjectId()}/comments`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Lost comment' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should reject a parent comment from another post', async () => {
+    const foreign = await Comment.create({
+      post: new mongoose.Types.ObjectId(),
+      author: author._id,
+      content: 'Elsewhere',
+    });
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Reply', parent: foreign._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  it('should return comments as a reply tree', async () => {
+    const root = await Comment.create({ post: post._id, author: author._id, content: 'Root' });
+    const reply = await Comment.create({ post: post._id, author: author._id, content: 'Reply', parent: root._id });
+    await Comment.create({ post: post._id, author: author._id, content: 'Nested', parent: reply._id });
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.total).toBe(3);
+    expect(res.body.data.comments).toHaveLength(1);
+    expect(res.body.data.comments[0].content).toBe('Root');
+    expect(res.body.data.comments[0].replies[0].content).toBe('Reply');
+    expect(res.body.data.comments[0].replies[0].replies[0].content).toBe('Nested');
+  });
+
+  it('should include commentCount on post responses', async () => {
+    await Comment.create({ post: post._id, author: author._id, content: 'One' });
+    await Comment.create({ post: post._id, author: author._id, content: 'Two' });
+
+    const res = await request(app).get(`/api/posts/${post._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.commentCount).toBe(2);
+  });
+});
+
+describe('PUT /api/posts/:id/comments/:commentId', () => {
+  it('should let the author edit within the edit window', async () => {
+    const comment = await Comment.create({ post: post._id, author: author._id, content: 'Typo' });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Fixed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.comment.content).toBe('Fixed');
+    expect(res.body.data.comment.editedAt).toBeDefined();
+  });
+
+  it('should refuse edits after the edit window', async () => {
+    const comment = await Comment.create({ post: post._id, author: author._id, content: 'Old' });
+    await Comment.collection.updateOne(
+      { _id: comment._id },
+      { $set: { createdAt: new Date(Date.now() - COMMENT_EDIT_WINDOW_MS - 1000) } }
+    );
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Too late' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should refuse edits by other users', async () => {
+    const comment = await Comment.create({ post: post._id, author: author._id, content: 'Mine' });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Yours now' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 when the post is in the trash', async () => {
+    const comment = await Comment.create({ post: post._id, author: author._id, content: 'Typo' });
+    await Post.updateOne({ _id: post._id }, { deletedAt: new Date() });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Fixed' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Post not found');
+  });
+});
+
+describe('DELETE /api/posts/:id/comments/:commentId', () => {
+  it('should delete a comment with its replies when owner', async () => {
+    const root = await Comment.create({ post: post._id, author: author._id, content: 'Root' });
+    await Comment.create({ post: post._id, author: author._id, content: 'Reply', parent: root._id });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${root._id}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+  });
+
+  it('should let an admin delete any comment', async () => {
+    const comment = await Comment.create({ post: post._id, author: author._id, content: 'Spam' });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 404 when the comment belongs to another post', async () => {
+    const comment = await Comment.create({
+      post: new mongoose.Types.ObjectId(),
+      author: author._id,
+      content: 'Elsewhere',
+    });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 404 when the post is in the trash', async () => {
+    const comment = await Comment.create({ post: post._id, author: author._id, content: 'Spam' });
+    await Post.updateOne({ _id: post._id }, { deletedAt: new Date() });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(404);
+    expect(await Comment.countDocuments({ _id: comment._id })).toBe(1);
+  });
+});
@@ -0,0 +1,143 @@
+// feeds.test.js - Integration tests for RSS and Atom feeds
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { postFactory } = require('../factories');
+
+let author;
+let category;
+
+const createTestPost = postFactory(() => ({ category: category._id, author: author._id }));
+
+beforeEach(async () => {
+  author = await User.create({
+    username: 'feedauthor',
+    email: 'feed@example.com',
+    password: 'password123',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+  });
+  category = await Category.create({ name: 'Engineering' });
+});
+
+describe('GET /feeds/posts.rss', () => {
+  it('should list published posts with excerpt and author name', async () => {
+    await createTestPost({ title: 'Visible Post', excerpt: 'A short summary' });
+    await createTestPost({ title: 'Hidden Draft', status: 'draft' });
+
+    const res = await request(app).get('/feeds/posts.rss');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/rss\+xml/);
+    expect(res.text).toContain('<title>Visible Post</title>');
+    expect(res.text).toContain('<description>A short summary</description>');
+    expect(res.text).toContain('<dc:creator>Ada Lovelace</dc:creator>');
+    expect(res.text).not.toContain('Hidden Draft');
+  });
+
+  it('should answer 304 when the ETag still matches', async () => {
+    await createTestPost();
+
+    const first = await request(app).get('/feeds/posts.rss');
+    const second = await request(app)
+      .get('/feeds/posts.rss')
+      .set('If-None-Match', first.headers.etag);
+
+    expect(first.headers.etag).toBeDefined();
+    expect(second.status).toBe(304);
+  });
+
+  it('should answer 304 when nothing changed since Last-Modified', async () => {
+    await createTestPost();
+
+    const first = await request(app).get('/feeds/posts.rss');
+    const second = await request(app)
+      .get('/feeds/posts.rss')
+      .set('If-Modified-Since', first.headers['last-modified']);
+
+    expect(second.status).toBe(304);
+  });
+
+  it('should refetch after a post is updated', async () => {
+    const post = await createTestPost();
+    const first = await request(app).get('/feeds/posts.rss');
+
+    post.title = 'Retitled Post';
+    await post.save();
+
+    const second = await request(app)
+      .get('/feeds/posts.rss')
+      .set('If-None-Match', first.headers.etag);
+
+    expect(second.status).toBe(200);
+    expect(second.text).toContain('Retitled Post');
+  });
+
+  it('should move Last-Modified forward when a post leaves the feed', async () => {
+    const kept = await createTestPost({ title: 'Kept Post' });
+    const removed = await createTestPost({ title: 'Removed Post' });
+    await Post.collection.updateMany(
+      { _id: { $in: [kept._id, removed._id] } },
+      { $set: { updatedAt: new Date('2020-01-01T00:00:00.000Z') } }
+    );
+    const first = await request(app).get('/feeds/posts.rss');
+
+    await Post.updateOne({ _id: removed._id }, { deletedAt: new Date() });
+
+    const second = await request(app)
+      .get('/feeds/posts.rss')
+      .set('If-Modified-Since', first.headers['last-modified']);
+
+    expect(second.status).toBe(200);
+    expect(second.text).not.toContain('Removed Post');
+  });
+});
+
+describe('GET /feeds/posts.atom', () => {
+  it('should return an Atom feed', async () => {
+    await createTestPost({ title: 'Atom Entry' });
+
+    const res = await request(app).get('/feeds/posts.atom');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/atom\+xml/);
+    expect(res.text).toContain('<title>Atom Entry</title>');
+    expect(res.text).toContain('<author><name>Ada Lovelace</name></author>');
+  });
+});
+
+describe('Category and tag feeds', () => {
+  it('should only include posts from the category', async () => {
+    const other = await Category.create({ name: 'Design' });
+    await createTestPost({ title: 'Engineering Post' });
+    await createTestPost({ title: 'Design Post', category: other._id });
+
+    const res = await request(app).get('/feeds/category/engineering.rss');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Engineering Post');
+    expect(res.text).not.toContain('Design Post');
+  });
+
+  it('should return 404 for an unknown category', async () => {
+    const res = await request(app).get('/feeds/category/missing.rss');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should only include posts with the tag', async () => {
+    await createTestPost({ title: 'Tagged Post', tags: ['node.js'] });
+    await createTestPost({ title: 'Untagged Post', category: new mongoose.Types.ObjectId() });
+
+    const res = await request(app).get('/feeds/tag/node.js.atom');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Tagged Post');
+    expect(res.text).not.toContain('Untagged Post');
+  });
+});
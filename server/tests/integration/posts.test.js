@@ -1,23 +1,42 @@
 // posts.test.js - Integration tests for posts API endpoints
+// Database connection and cleanup between tests are handled by tests/setup.js
 
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Comment = require('../../src/models/Comment');
+const PostRevision = require('../../src/models/PostRevision');
+const purgeTrash = require('../../src/jobs/purgeTrash');
 const { generateToken } = require('../../src/utils/auth');
+const { postFactory } = require('../factories');
+const { TRASH_RETENTION_MS } = require('../../src/config/env');
 
-let mongoServer;
 let token;
 let userId;
+let categoryId;
 
-// Setup in-memory MongoDB server before all tests
-beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
-  const mongoUri = mongoServer.getUri();
-  await mongoose.connect(mongoUri);
+/**
+ * Create another user and return an auth token for them
+ * @param {Object} overrides - Fields to override
+ * @returns {Promise<String>} JWT token
+ */
+const createOtherUserToken = async (overrides = {}) => {
+  const user = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'password123',
+    ...overrides,
+  });
+  return generateToken(user);
+};
+
+const createTestPost = postFactory(() => ({ category: categoryId, author: userId }));
 
-  // Create a test user
+// Create a test user before each test (collections are cleared after each test)
+beforeEach(async () => {
   const user = await User.create({
     username: 'testuser',
     email: 'test@example.com',
@@ -25,23 +44,9 @@ beforeAll(async () => {
   });
   userId = user._id;
   token = generateToken(user);
-// Clean up after all tests
-afterAll(async () => {
-  await mongoose.disconnect();
-  await mongoServer.stop();
-});
-
-// Clean up database between tests
-afterEach(async () => {
-  const collections = mongoose.connection.collections;
-  
-  // Clear all collections except users
-  for (const key in collections) {
-    const collection = collections[key];
-    if (collection.collectionName !== 'users') {
-      await collection.deleteMany({});
-    }
-  }
+
+  const category = await Category.create({ name: 'General' });
+  categoryId = category._id;
 });
 
 describe('POST /api/posts', () => {
@@ -50,7 +55,7 @@ describe('POST /api/posts', () => {
       title: 'New Test Post',
       content: 'This is a new test post content with enough characters to pass validation',
       slug: 'new-test-post',
-      category: new mongoose.Types.ObjectId().toString(),
+      category: categoryId.toString(),
     };
 
     const res = await request(app)
@@ -64,7 +69,42 @@ describe('POST /api/posts', () => {
       title: newPost.title,
       content: newPost.content,
       slug: newPost.slug,
+      author: userId.toString(),
     });
+
+    const saved = await Post.findById(res.body.data.post._id);
+    expect(saved).not.toBeNull();
+  });
+
+  it('should ignore an author supplied in the request body', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Spoofed Author',
+        content: 'This post tries to set a different author in the body',
+        slug: 'spoofed-author',
+        category: categoryId.toString(),
+        author: new mongoose.Types.ObjectId().toString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.author).toBe(userId.toString());
+  });
+
+  it('should return 400 if the category does not exist', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Orphan Post',
+        content: 'This post references a category that does not exist',
+        slug: 'orphan-post',
+        category: new mongoose.Types.ObjectId().toString(),
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Category not found');
   });
 
   it('should return 401 if not authenticated', async () => {
@@ -103,6 +143,8 @@ describe('POST /api/posts', () => {
 
 describe('GET /api/posts', () => {
   it('should return all posts with pagination', async () => {
+    await createTestPost();
+
     const res = await request(app).get('/api/posts');
 
     expect(res.status).toBe(200);
@@ -110,6 +152,7 @@ describe('GET /api/posts', () => {
     expect(res.body.data).toHaveProperty('posts');
     expect(res.body.data).toHaveProperty('pagination');
     expect(Array.isArray(res.body.data.posts)).toBe(true);
+    expect(res.body.data.posts).toHaveLength(1);
   });
 
   it('should handle pagination parameters', async () => {
@@ -124,6 +167,25 @@ describe('GET /api/posts', () => {
       total: 0, // No posts created yet
     });
   });
+
+  it('should apply page, limit and sort', async () => {
+    await createTestPost({ title: 'Alpha post', slug: 'alpha-post' });
+    await createTestPost({ title: 'Bravo post', slug: 'bravo-post' });
+    await createTestPost({ title: 'Charlie post', slug: 'charlie-post' });
+
+    const res = await request(app)
+      .get('/api/posts?page=2&limit=2&sort=title');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts).toHaveLength(1);
+    expect(res.body.data.posts[0].title).toBe('Charlie post');
+    expect(res.body.data.pagination).toMatchObject({
+      page: 2,
+      limit: 2,
+      total: 3,
+      pages: 2,
+    });
+  });
 });
 
 describe('GET /api/posts/:id', () => {
@@ -134,17 +196,25 @@ describe('GET /api/posts/:id', () => {
     expect(res.body.success).toBe(false);
   });
 
-  it('should return post data for valid ObjectId', async () => {
-    const validId = new mongoose.Types.ObjectId().toString();
-    const res = await request(app).get(`/api/posts/${validId}`);
+  it('should return post data for an existing post', async () => {
+    const post = await createTestPost();
+    const res = await request(app).get(`/api/posts/${post._id}`);
 
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
     expect(res.body.data.post).toMatchObject({
-      id: validId,
-      title: 'Sample Post',
+      _id: post._id.toString(),
+      title: post.title,
     });
   });
+
+  it('should return 404 for a missing post', async () => {
+    const validId = new mongoose.Types.ObjectId().toString();
+    const res = await request(app).get(`/api/posts/${validId}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
 });
 
 describe('PUT /api/posts/:id', () => {
@@ -178,23 +248,66 @@ describe('PUT /api/posts/:id', () => {
   });
 
   it('should update post with valid data and authentication', async () => {
-    const validId = new mongoose.Types.ObjectId().toString();
+    const post = await createTestPost();
     const updates = {
       title: 'Updated Post Title',
       content: 'Updated post content with sufficient length for validation',
     };
 
     const res = await request(app)
-      .put(`/api/posts/${validId}`)
+      .put(`/api/posts/${post._id}`)
       .set('Authorization', `Bearer ${token}`)
       .send(updates);
 
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
     expect(res.body.data.post).toMatchObject({
-      id: validId,
+      _id: post._id.toString(),
       ...updates,
     });
+
+    const saved = await Post.findById(post._id);
+    expect(saved.title).toBe(updates.title);
+  });
+
+  it('should return 404 for a missing post', async () => {
+    const validId = new mongoose.Types.ObjectId().toString();
+    const res = await request(app)
+      .put(`/api/posts/${validId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Updated Post Title' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('should return 403 when updating another user\'s post', async () => {
+    const post = await createTestPost();
+    const otherToken = await createOtherUserToken();
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ title: 'Hijacked Title' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.success).toBe(false);
+
+    const saved = await Post.findById(post._id);
+    expect(saved.title).toBe(post.title);
+  });
+
+  it('should allow an admin to update any post', async () => {
+    const post = await createTestPost();
+    const adminToken = await createOtherUserToken({ role: 'admin' });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Moderated Title' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.title).toBe('Moderated Title');
   });
 });
 
@@ -216,13 +329,849 @@ describe('DELETE /api/posts/:id', () => {
     expect(res.body.success).toBe(false);
   });
 
-  it('should delete post when authenticated', async () => {
+  it('should move the post to the trash when authenticated', async () => {
+    const post = await createTestPost();
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.purgeAfter).toBeDefined();
+
+    const trashed = await Post.findById(post._id);
+    expect(trashed.deletedAt).toBeInstanceOf(Date);
+    expect(trashed.deletedBy.toString()).toBe(userId.toString());
+  });
+
+  it('should return 404 for a missing post', async () => {
     const validId = new mongoose.Types.ObjectId().toString();
     const res = await request(app)
       .delete(`/api/posts/${validId}`)
       .set('Authorization', `Bearer ${token}`);
 
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('should return 403 when deleting another user\'s post', async () => {
+    const post = await createTestPost();
+    const otherToken = await createOtherUserToken();
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+    expect(await Post.findById(post._id)).not.toBeNull();
+  });
+
+  it('should allow an admin to delete any post', async () => {
+    const post = await createTestPost();
+    const adminToken = await createOtherUserToken({ role: 'admin' });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
     expect(res.status).toBe(200);
-    expect(res.body.success).toBe(true);
+    expect((await Post.findById(post._id)).deletedAt).not.toBeNull();
+  });
+});
+
+describe('POST /api/posts/:id/like', () => {
+  it('should like and then unlike a post', async () => {
+    const post = await createTestPost();
+
+    const likeRes = await request(app)
+      .post(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(likeRes.status).toBe(200);
+    expect(likeRes.body.data).toEqual({ liked: true, likeCount: 1 });
+
+    const unlikeRes = await request(app)
+      .post(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(unlikeRes.status).toBe(200);
+    expect(unlikeRes.body.data).toEqual({ liked: false, likeCount: 0 });
+  });
+
+  it('should not lose likes from concurrent users', async () => {
+    const post = await createTestPost();
+    const users = await User.create(
+      [1, 2, 3, 4, 5].map(n => ({
+        username: `liker${n}`,
+        email: `liker${n}@example.com`,
+        password: 'password123',
+      }))
+    );
+
+    await Promise.all(users.map(user => request(app)
+      .post(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${generateToken(user)}`)));
+
+    const saved = await Post.findById(post._id);
+    expect(saved.likes).toHaveLength(5);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const post = await createTestPost();
+    const res = await request(app).post(`/api/posts/${post._id}/like`);
+
+    expect(res.status).toBe(401);
   });
-}); 
\ No newline at end of file
+
+  it('should return 404 for a missing post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${new mongoose.Types.ObjectId()}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/posts/:id/likes', () => {
+  it('should list the users who liked a post', async () => {
+    const post = await createTestPost({ likes: [{ user: userId }] });
+
+    const res = await request(app).get(`/api/posts/${post._id}/likes`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.likeCount).toBe(1);
+    expect(res.body.data.likes[0].user.username).toBe('testuser');
+  });
+
+  it('should flag likedByMe on post responses for the identified user', async () => {
+    const post = await createTestPost({ likes: [{ user: userId }] });
+
+    const authedRes = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    const anonymousRes = await request(app).get(`/api/posts/${post._id}`);
+
+    expect(authedRes.body.data.post.likedByMe).toBe(true);
+    expect(authedRes.body.data.post.likeCount).toBe(1);
+    expect(anonymousRes.body.data.post).not.toHaveProperty('likedByMe');
+  });
+});
+
+describe('GET /api/posts/:id view counting', () => {
+  it('should count a view once per anonymous viewer within the window', async () => {
+    const post = await createTestPost();
+
+    const first = await request(app).get(`/api/posts/${post._id}`).set('User-Agent', 'reader-a');
+    const second = await request(app).get(`/api/posts/${post._id}`).set('User-Agent', 'reader-a');
+    await request(app).get(`/api/posts/${post._id}`).set('User-Agent', 'reader-b');
+
+    expect(first.body.data.post.views).toBe(1);
+    expect(second.body.data.post.views).toBe(1);
+
+    const saved = await Post.findById(post._id);
+    expect(saved.views).toBe(2);
+  });
+
+  it('should count concurrent views from different users without losing any', async () => {
+    const post = await createTestPost();
+    const users = await User.create(
+      [1, 2, 3, 4].map(n => ({
+        username: `reader${n}`,
+        email: `reader${n}@example.com`,
+        password: 'password123',
+      }))
+    );
+
+    await Promise.all(users.map(user => request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${generateToken(user)}`)));
+
+    const saved = await Post.findById(post._id);
+    expect(saved.views).toBe(4);
+  });
+
+  it('should not count views by the post author', async () => {
+    const post = await createTestPost();
+
+    await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const saved = await Post.findById(post._id);
+    expect(saved.views).toBe(0);
+  });
+});
+
+describe('GET /api/posts search and filters', () => {
+  beforeEach(async () => {
+    // Make sure the text index exists before searching
+    await Post.init();
+  });
+
+  it('should rank posts by text score and return highlighted snippets', async () => {
+    await createTestPost({
+      title: 'Testing React components',
+      content: 'A guide to testing React components with React Testing Library',
+      slug: 'testing-react',
+    });
+    await createTestPost({
+      title: 'Express middleware',
+      content: 'Writing middleware for Express, with a brief React mention',
+      slug: 'express-middleware',
+    });
+    await createTestPost({
+      title: 'MongoDB indexes',
+      content: 'How indexes make MongoDB queries fast',
+      slug: 'mongodb-indexes',
+    });
+
+    const res = await request(app).get('/api/posts?q=react');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination.total).toBe(2);
+    expect(res.body.data.posts[0].slug).toBe('testing-react');
+    expect(res.body.data.posts[0].score).toBeGreaterThan(res.body.data.posts[1].score);
+    expect(res.body.data.posts[0].highlights.title).toBe('Testing <mark>React</mark> components');
+    expect(res.body.data.posts[0].highlights.content).toContain('<mark>React</mark>');
+  });
+
+  it('should combine search with tag and status filters', async () => {
+    await createTestPost({
+      title: 'Jest tips',
+      content: 'Jest tips for testing applications',
+      slug: 'jest-tips',
+      tags: ['jest'],
+      status: 'published',
+    });
+    await createTestPost({
+      title: 'Jest draft',
+      content: 'Unfinished jest notes for testing',
+      slug: 'jest-draft',
+      tags: ['jest'],
+      status: 'draft',
+    });
+
+    const res = await request(app).get('/api/posts?q=jest&tag=jest&status=published');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts).toHaveLength(1);
+    expect(res.body.data.posts[0].slug).toBe('jest-tips');
+  });
+
+  it('should filter by publication date range', async () => {
+    await createTestPost({ slug: 'old-post', status: 'published', publishedAt: new Date('2022-06-01') });
+    await createTestPost({ slug: 'new-post', status: 'published', publishedAt: new Date('2023-06-01') });
+
+    const res = await request(app).get('/api/posts?from=2023-01-01&to=2023-12-31');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts.map(post => post.slug)).toEqual(['new-post']);
+  });
+
+  it('should return 400 for invalid filter values', async () => {
+    const res = await request(app).get('/api/posts?author=not-an-id');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/posts facets', () => {
+  it('should return facet counts for the current filter set', async () => {
+    const otherCategory = await Category.create({ name: 'Other' });
+    await createTestPost({
+      slug: 'facet-one',
+      tags: ['react', 'jest'],
+      status: 'published',
+      publishedAt: new Date('2023-05-10'),
+    });
+    await createTestPost({
+      slug: 'facet-two',
+      tags: ['react'],
+      status: 'published',
+      publishedAt: new Date('2023-06-02'),
+    });
+    await createTestPost({
+      slug: 'facet-three',
+      tags: ['react'],
+      category: otherCategory._id,
+      status: 'draft',
+    });
+
+    const res = await request(app).get('/api/posts?status=published&facets=true');
+
+    expect(res.status).toBe(200);
+    const { facets } = res.body.data;
+    expect(facets.tags).toEqual([
+      { tag: 'react', count: 2 },
+      { tag: 'jest', count: 1 },
+    ]);
+    expect(facets.categories).toEqual([
+      expect.objectContaining({ _id: categoryId.toString(), name: 'General', count: 2 }),
+    ]);
+    expect(facets.authors).toEqual([
+      expect.objectContaining({ _id: userId.toString(), username: 'testuser', count: 2 }),
+    ]);
+    expect(facets.months).toEqual([
+      { month: '2023-06', count: 1 },
+      { month: '2023-05', count: 1 },
+    ]);
+  });
+
+  it('should omit facets unless requested', async () => {
+    const res = await request(app).get('/api/posts');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).not.toHaveProperty('facets');
+  });
+});
+
+describe('GET /api/posts cursor pagination', () => {
+  it('should walk all posts with nextCursor without duplicates', async () => {
+    for (let i = 1; i <= 5; i += 1) {
+      await createTestPost({ title: `Cursor post ${i}`, slug: `cursor-post-${i}` });
+    }
+
+    const first = await request(app).get('/api/posts?limit=2&sort=title');
+    expect(first.body.data.pagination).toMatchObject({ hasMore: true, total: 5 });
+
+    const seen = first.body.data.posts.map(post => post.title);
+    let { nextCursor } = first.body.data.pagination;
+
+    // A post added mid-way sorts before the cursor and must not shift later pages
+    await createTestPost({ title: 'Cursor post 0', slug: 'cursor-post-0' });
+
+    while (nextCursor) {
+      const res = await request(app).get(`/api/posts?limit=2&sort=title&cursor=${nextCursor}`);
+      expect(res.status).toBe(200);
+      expect(res.body.data.pagination).not.toHaveProperty('total');
+      seen.push(...res.body.data.posts.map(post => post.title));
+      nextCursor = res.body.data.pagination.nextCursor;
+    }
+
+    expect(seen).toEqual([1, 2, 3, 4, 5].map(n => `Cursor post ${n}`));
+  });
+
+  it('should return 400 when page and cursor are combined', async () => {
+    const res = await request(app).get('/api/posts?page=2&cursor=abc');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for a cursor issued for another sort order', async () => {
+    await createTestPost({ slug: 'cursor-a' });
+    await createTestPost({ slug: 'cursor-b' });
+
+    const first = await request(app).get('/api/posts?limit=1&sort=title');
+    const res = await request(app)
+      .get(`/api/posts?limit=1&sort=-title&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for a forged cursor carrying query operators', async () => {
+    await createTestPost({ slug: 'cursor-forged' });
+    const cursor = Buffer.from(JSON.stringify({
+      s: 'title',
+      v: { $ne: null },
+      id: '507f1f77bcf86cd799439011',
+    })).toString('base64url');
+
+    const res = await request(app).get(`/api/posts?limit=1&sort=title&cursor=${cursor}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid pagination cursor');
+  });
+});
+
+describe('Post visibility', () => {
+  let otherToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    otherToken = await createOtherUserToken();
+    const admin = await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+    });
+    adminToken = generateToken(admin);
+
+    await createTestPost({ slug: 'visible-published', status: 'published' });
+    await createTestPost({ slug: 'visible-draft', status: 'draft' });
+    await createTestPost({ slug: 'visible-archived', status: 'archived' });
+  });
+
+  /**
+   * List post slugs as seen with the given token
+   * @param {String} authToken - JWT token (optional)
+   * @returns {Promise<Array<String>>} Sorted slugs
+   */
+  const listSlugs = async (authToken) => {
+    const req = request(app).get('/api/posts');
+    if (authToken) {
+      req.set('Authorization', `Bearer ${authToken}`);
+    }
+    const res = await req;
+    return res.body.data.posts.map(post => post.slug).sort();
+  };
+
+  it('should show anonymous users only published posts', async () => {
+    expect(await listSlugs()).toEqual(['visible-published']);
+  });
+
+  it('should show authors their own drafts and archived posts', async () => {
+    expect(await listSlugs(token)).toEqual(['visible-archived', 'visible-draft', 'visible-published']);
+  });
+
+  it('should hide other authors\' drafts from regular users', async () => {
+    expect(await listSlugs(otherToken)).toEqual(['visible-published']);
+  });
+
+  it('should show admins everything', async () => {
+    expect(await listSlugs(adminToken)).toHaveLength(3);
+  });
+
+  it('should return 404 for a draft requested by another user', async () => {
+    const draft = await Post.findOne({ slug: 'visible-draft' });
+
+    const anonymousRes = await request(app).get(`/api/posts/${draft._id}`);
+    const otherRes = await request(app)
+      .get(`/api/posts/${draft._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+    const authorRes = await request(app)
+      .get(`/api/posts/${draft._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(anonymousRes.status).toBe(404);
+    expect(otherRes.status).toBe(404);
+    expect(authorRes.status).toBe(200);
+  });
+
+  it('should not let other users like or comment on a draft', async () => {
+    const draft = await Post.findOne({ slug: 'visible-draft' });
+
+    const likeRes = await request(app)
+      .post(`/api/posts/${draft._id}/like`)
+      .set('Authorization', `Bearer ${otherToken}`);
+    const commentRes = await request(app)
+      .post(`/api/posts/${draft._id}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Sneaky' });
+
+    expect(likeRes.status).toBe(404);
+    expect(commentRes.status).toBe(404);
+  });
+
+  it('should apply visibility to search results', async () => {
+    await Post.init();
+
+    const res = await request(app).get('/api/posts?q=existing');
+
+    expect(res.body.data.posts.map(post => post.slug)).toEqual(['visible-published']);
+  });
+});
+
+describe('Scheduled publishing', () => {
+  const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  it('should create a scheduled post with a future publishedAt', async () => {
+    const publishedAt = inOneHour();
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Scheduled Post',
+        content: 'This post will be published by the scheduler later',
+        slug: 'scheduled-post',
+        category: categoryId.toString(),
+        status: 'scheduled',
+        publishedAt: publishedAt.toISOString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.status).toBe('scheduled');
+    expect(new Date(res.body.data.post.publishedAt)).toEqual(publishedAt);
+  });
+
+  it('should reject scheduling without a future publishedAt', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Bad Schedule',
+        content: 'This post has a publication date in the past',
+        slug: 'bad-schedule',
+        category: categoryId.toString(),
+        status: 'scheduled',
+        publishedAt: new Date(Date.now() - 1000).toISOString(),
+      });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject scheduling an update when the post has no publishedAt', async () => {
+    const post = await createTestPost({ status: 'draft' });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'scheduled' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  it('should schedule an update using the existing publishedAt', async () => {
+    const publishedAt = inOneHour();
+    const post = await createTestPost({ status: 'draft', publishedAt });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'scheduled' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.status).toBe('scheduled');
+  });
+
+  it('should report a scheduled post without publishedAt as a validation error', async () => {
+    await expect(createTestPost({ status: 'scheduled' })).rejects.toMatchObject({
+      name: 'ValidationError',
+      errors: { publishedAt: expect.anything() },
+    });
+  });
+
+  it('should treat a future-dated published post as scheduled', async () => {
+    const post = await createTestPost({ status: 'published', publishedAt: inOneHour() });
+
+    expect(post.status).toBe('scheduled');
+  });
+
+  it('should hide scheduled posts from public listings until published', async () => {
+    const post = await createTestPost({ slug: 'later', status: 'scheduled', publishedAt: inOneHour() });
+
+    const before = await request(app).get('/api/posts');
+    expect(before.body.data.posts).toHaveLength(0);
+
+    const published = await Post.publishDue(new Date(Date.now() + 2 * 60 * 60 * 1000));
+    expect(published).toBe(1);
+
+    const after = await request(app).get('/api/posts');
+    expect(after.body.data.posts.map(p => p.slug)).toEqual(['later']);
+    expect((await Post.findById(post._id)).status).toBe('published');
+  });
+});
+
+describe('Slugs', () => {
+  /**
+   * Create a post through the API without a slug
+   * @param {String} title - Post title
+   * @returns {Promise<Object>} Response
+   */
+  const createWithoutSlug = (title) => request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title,
+      content: 'Content for a post whose slug is generated by the server',
+      category: categoryId.toString(),
+      status: 'published',
+    });
+
+  it('should derive a slug from the title when none is given', async () => {
+    const res = await createWithoutSlug('Hello Slug World');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.slug).toBe('hello-slug-world');
+  });
+
+  it('should add numeric suffixes on collision', async () => {
+    await createWithoutSlug('Same Title');
+    await createWithoutSlug('Same Title');
+    const third = await createWithoutSlug('Same Title');
+
+    expect(third.body.data.post.slug).toBe('same-title-3');
+  });
+
+  it('should keep previous slugs when the slug changes', async () => {
+    const post = await createTestPost({ slug: 'first-slug' });
+
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ slug: 'second-slug' });
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ slug: 'third-slug' });
+
+    const saved = await Post.findById(post._id);
+    expect(saved.slug).toBe('third-slug');
+    expect(saved.previousSlugs).toEqual(['first-slug', 'second-slug']);
+  });
+
+  it('should not reuse another post\'s retired slug', async () => {
+    const post = await createTestPost({ slug: 'retired-slug' });
+    post.slug = 'new-home';
+    await post.save();
+
+    const other = await createTestPost({ slug: 'other-post' });
+    const res = await request(app)
+      .put(`/api/posts/${other._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ slug: 'retired-slug' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should resolve current slugs and redirect retired ones', async () => {
+    const post = await createTestPost({ slug: 'old-link' });
+    post.slug = 'new-link';
+    await post.save();
+
+    const current = await request(app).get('/api/posts/slug/new-link');
+    expect(current.status).toBe(200);
+    expect(current.body.data.post._id).toBe(post._id.toString());
+
+    const retired = await request(app).get('/api/posts/slug/old-link');
+    expect(retired.status).toBe(200);
+    expect(retired.body.data.redirect).toEqual({
+      statusCode: 301,
+      slug: 'new-link',
+      location: '/api/posts/slug/new-link',
+    });
+  });
+
+  it('should return 404 for unknown or hidden slugs', async () => {
+    await createTestPost({ slug: 'secret-draft', status: 'draft' });
+
+    expect((await request(app).get('/api/posts/slug/nothing-here')).status).toBe(404);
+    expect((await request(app).get('/api/posts/slug/secret-draft')).status).toBe(404);
+  });
+});
+
+describe('Markdown content', () => {
+  it('should return sanitized HTML and reading stats on create', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Markdown Post',
+        content: '## Intro\n\nSome **bold** words <script>alert(1)</script>',
+        category: categoryId.toString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.contentHtml).toContain('<h2>Intro</h2>');
+    expect(res.body.data.post.contentHtml).toContain('<strong>bold</strong>');
+    expect(res.body.data.post.contentHtml).not.toContain('<script');
+    expect(res.body.data.post.wordCount).toBe(4);
+    expect(res.body.data.post.readingTimeMinutes).toBe(1);
+  });
+
+  it('should build a plain-text excerpt without cutting words', async () => {
+    const words = Array.from({ length: 60 }, (_, i) => `**word${i}**`).join(' ');
+    const post = await createTestPost({ content: words });
+
+    expect(post.excerpt).not.toContain('*');
+    expect(post.excerpt.length).toBeLessThanOrEqual(150);
+    expect(post.excerpt).toMatch(/word\d+\.\.\.$/);
+  });
+
+  it('should re-render HTML when content is updated', async () => {
+    const post = await createTestPost();
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Updated with *emphasis* in the body' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.contentHtml).toContain('<em>emphasis</em>');
+    expect(res.body.data.post.wordCount).toBe(6);
+  });
+
+  it('should backfill rendered content for posts stored without it', async () => {
+    const post = await createTestPost({ content: 'Stored **before** rendering existed' });
+    const updatedAt = new Date('2020-01-01T00:00:00.000Z');
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { updatedAt }, $unset: { contentHtml: '', wordCount: '', readingTimeMinutes: '' } }
+    );
+
+    expect(await Post.backfillContentHtml()).toBe(1);
+
+    const backfilled = await Post.findById(post._id);
+    expect(backfilled.contentHtml).toContain('<strong>before</strong>');
+    expect(backfilled.wordCount).toBe(4);
+    expect(backfilled.readingTimeMinutes).toBe(1);
+    expect(backfilled.updatedAt).toEqual(updatedAt);
+    expect(await Post.backfillContentHtml()).toBe(0);
+  });
+});
+
+describe('GET /api/posts/:id/meta', () => {
+  it('should return the meta bundle with fallbacks for blank SEO fields', async () => {
+    const post = await createTestPost({ title: 'Meta Post', excerpt: 'Meta excerpt', slug: 'meta-post' });
+
+    const res = await request(app).get(`/api/posts/${post._id}/meta`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.meta).toMatchObject({
+      title: 'Meta Post',
+      description: 'Meta excerpt',
+    });
+    expect(res.body.data.meta.canonicalUrl).toMatch(/\/posts\/meta-post$/);
+    expect(res.body.data.meta.openGraph['og:title']).toBe('Meta Post');
+    expect(res.body.data.meta.jsonLd['@type']).toBe('BlogPosting');
+    expect(res.body.data.meta.jsonLd.author.name).toBe('testuser');
+  });
+
+  it('should prefer explicit SEO fields', async () => {
+    const post = await createTestPost({ seoTitle: 'Search Title', seoDescription: 'Search description' });
+
+    const res = await request(app).get(`/api/posts/${post._id}/meta`);
+
+    expect(res.body.data.meta.title).toBe('Search Title');
+    expect(res.body.data.meta.twitter['twitter:description']).toBe('Search description');
+  });
+
+  it('should return 404 for hidden posts', async () => {
+    const post = await createTestPost({ status: 'draft' });
+
+    const res = await request(app).get(`/api/posts/${post._id}/meta`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Trash', () => {
+  /**
+   * Move a post to the trash through the API
+   * @param {Object} post - Post document
+   * @returns {Promise<Object>} Response
+   */
+  const trash = (post) => request(app)
+    .delete(`/api/posts/${post._id}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should hide trashed posts from listings and direct access', async () => {
+    const post = await createTestPost({ slug: 'trashed-post' });
+    await trash(post);
+
+    const list = await request(app).get('/api/posts').set('Authorization', `Bearer ${token}`);
+    const single = await request(app).get(`/api/posts/${post._id}`).set('Authorization', `Bearer ${token}`);
+    const bySlug = await request(app).get('/api/posts/slug/trashed-post');
+
+    expect(list.body.data.posts).toHaveLength(0);
+    expect(single.status).toBe(404);
+    expect(bySlug.status).toBe(404);
+  });
+
+  it('should refuse updates to trashed posts', async () => {
+    const post = await createTestPost();
+    await trash(post);
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Edited in the trash' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should list only the user\'s own trashed posts', async () => {
+    const mine = await createTestPost();
+    await createTestPost();
+    await trash(mine);
+
+    const otherToken = await createOtherUserToken();
+    const others = await request(app)
+      .get('/api/posts/trash')
+      .set('Authorization', `Bearer ${otherToken}`);
+    const own = await request(app)
+      .get('/api/posts/trash')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(others.body.data.posts).toHaveLength(0);
+    expect(own.status).toBe(200);
+    expect(own.body.data.posts).toHaveLength(1);
+    expect(own.body.data.posts[0]._id).toBe(mine._id.toString());
+    expect(own.body.data.posts[0].purgeAfter).toBeDefined();
+    expect(own.body.data.pagination.total).toBe(1);
+  });
+
+  it('should let admins see every trashed post', async () => {
+    await trash(await createTestPost());
+    const adminToken = await createOtherUserToken({ role: 'admin' });
+
+    const res = await request(app)
+      .get('/api/posts/trash')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.body.data.posts).toHaveLength(1);
+  });
+
+  it('should require authentication for the trash', async () => {
+    const res = await request(app).get('/api/posts/trash');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should restore a trashed post', async () => {
+    const post = await createTestPost();
+    await trash(post);
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.deletedAt).toBeNull();
+    expect((await request(app).get(`/api/posts/${post._id}`)).status).toBe(200);
+  });
+
+  it('should refuse to restore a post that is not trashed', async () => {
+    const post = await createTestPost();
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should only let the owner or an admin restore', async () => {
+    const post = await createTestPost();
+    await trash(post);
+    const otherToken = await createOtherUserToken();
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/restore`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should purge posts past the retention period with their comments and revisions', async () => {
+    const old = await createTestPost({ likes: [{ user: userId }] });
+    const recent = await createTestPost();
+    await Comment.create({ post: old._id, author: userId, content: 'Going away' });
+    await PostRevision.create({ post: old._id, editor: userId, version: 1, snapshot: { title: old.title } });
+    await trash(old);
+    await trash(recent);
+    await Post.updateOne(
+      { _id: old._id },
+      { $set: { deletedAt: new Date(Date.now() - TRASH_RETENTION_MS - 1000) } }
+    );
+
+    await purgeTrash.run();
+
+    expect(await Post.findById(old._id)).toBeNull();
+    expect(await Comment.countDocuments({ post: old._id })).toBe(0);
+    expect(await PostRevision.countDocuments({ post: old._id })).toBe(0);
+    expect(await Post.findById(recent._id)).not.toBeNull();
+  });
+});
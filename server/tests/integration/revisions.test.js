@@ -0,0 +1,212 @@
+// revisions.test.js - Integration tests for post revision history endpoints
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const PostRevision = require('../../src/models/PostRevision');
+const { generateToken } = require('../../src/utils/auth');
+const { POST_REVISION_LIMIT } = require('../../src/config/env');
+
+let author;
+let token;
+let post;
+
+/**
+ * Update the test post through the API
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Response
+ */
+const updatePost = (updates) => request(app)
+  .put(`/api/posts/${post._id}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(updates);
+
+beforeEach(async () => {
+  author = await User.create({
+    username: 'reviser',
+    email: 'reviser@example.com',
+    password: 'password123',
+  });
+  token = generateToken(author);
+
+  const category = await Category.create({ name: 'Revisions' });
+  post = await Post.create({
+    title: 'Original title',
+    content: 'First line\nSecond line\nThird line',
+    slug: 'revised-post',
+    category: category._id,
+    author: author._id,
+  });
+});
+
+describe('Revision recording', () => {
+  it('should store the previous state on each update', async () => {
+    await updatePost({ title: 'Second title' });
+    await updatePost({ content: 'First line\nChanged line\nThird line' });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/revisions`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revisions).toHaveLength(2);
+    expect(res.body.data.revisions[0]).toMatchObject({ version: 2, changedFields: ['content'] });
+    expect(res.body.data.revisions[1]).toMatchObject({ version: 1, changedFields: ['title'] });
+    expect(res.body.data.revisions[1].editor.username).toBe('reviser');
+    expect(res.body.data.revisions[1]).not.toHaveProperty('snapshot');
+
+    const first = await PostRevision.findOne({ post: post._id, version: 1 });
+    expect(first.snapshot.title).toBe('Original title');
+  });
+
+  it('should not record a revision when nothing tracked changed', async () => {
+    await updatePost({ title: 'Original title' });
+
+    expect(await PostRevision.countDocuments({ post: post._id })).toBe(0);
+  });
+
+  it('should keep at most the configured number of revisions', async () => {
+    for (let i = 0; i < POST_REVISION_LIMIT + 2; i += 1) {
+      await PostRevision.record({
+        postId: post._id,
+        snapshot: { title: `Title ${i}` },
+        editorId: author._id,
+        changedFields: ['title'],
+      });
+    }
+
+    const versions = (await PostRevision.find({ post: post._id }).sort('version')).map(r => r.version);
+    expect(versions).toHaveLength(POST_REVISION_LIMIT);
+    expect(versions[0]).toBe(3);
+  });
+
+  it('should give concurrent revisions distinct versions', async () => {
+    // The unique version index must exist for collisions to be detected
+    await PostRevision.init();
+
+    await Promise.all([1, 2, 3].map(i => PostRevision.record({
+      postId: post._id,
+      snapshot: { title: `Concurrent ${i}` },
+      editorId: author._id,
+      changedFields: ['title'],
+    })));
+
+    const versions = (await PostRevision.find({ post: post._id }).sort('version')).map(r => r.version);
+    expect(versions).toEqual([1, 2, 3]);
+  });
+});
+
+describe('GET /api/posts/:id/revisions/diff', () => {
+  it('should diff a revision against the current post', async () => {
+    await updatePost({ content: 'First line\nChanged line\nThird line' });
+    const revision = await PostRevision.findOne({ post: post._id });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/revisions/diff?from=${revision._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ from: 1, to: 'current' });
+    expect(res.body.data.changes.content).toBe('  First line\n- Second line\n+ Changed line\n  Third line');
+    expect(res.body.data.changes).not.toHaveProperty('title');
+  });
+
+  it('should diff two revisions', async () => {
+    await updatePost({ title: 'Second title' });
+    await updatePost({ title: 'Third title' });
+    const [first, second] = await PostRevision.find({ post: post._id }).sort('version');
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/revisions/diff?from=${first._id}&to=${second._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.changes.title).toBe('- Original title\n+ Second title');
+  });
+
+  it('should return 404 for a revision of another post', async () => {
+    const foreign = await PostRevision.create({
+      post: new mongoose.Types.ObjectId(),
+      version: 1,
+      editor: author._id,
+      snapshot: { title: 'Elsewhere' },
+    });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/revisions/diff?from=${foreign._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/posts/:id/revisions/:revId/restore', () => {
+  it('should restore a revision and record the replaced state', async () => {
+    await updatePost({ title: 'Bad edit', content: 'Content that should be rolled back' });
+    const revision = await PostRevision.findOne({ post: post._id, version: 1 });
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/revisions/${revision._id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post).toMatchObject({
+      title: 'Original title',
+      content: 'First line\nSecond line\nThird line',
+    });
+
+    const latest = await PostRevision.findOne({ post: post._id }).sort('-version');
+    expect(latest.version).toBe(2);
+    expect(latest.snapshot.title).toBe('Bad edit');
+  });
+
+  it('should leave the post status unchanged', async () => {
+    await updatePost({ status: 'published', title: 'Published title' });
+    await updatePost({ status: 'archived' });
+    const revision = await PostRevision.findOne({ post: post._id, version: 1 });
+    expect(revision.snapshot.status).toBe('draft');
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/revisions/${revision._id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.title).toBe('Original title');
+    expect(res.body.data.post.status).toBe('archived');
+  });
+
+  it('should refuse to restore a category that no longer exists', async () => {
+    const newCategory = await Category.create({ name: 'Replacement' });
+    await updatePost({ category: newCategory._id.toString() });
+    const revision = await PostRevision.findOne({ post: post._id, version: 1 });
+    await Category.deleteOne({ _id: revision.snapshot.category });
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/revisions/${revision._id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Category not found');
+    expect((await Post.findById(post._id)).category.toString()).toBe(newCategory._id.toString());
+  });
+
+  it('should return 403 for users who do not own the post', async () => {
+    await updatePost({ title: 'Second title' });
+    const revision = await PostRevision.findOne({ post: post._id });
+    const other = await User.create({
+      username: 'intruder',
+      email: 'intruder@example.com',
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/revisions/${revision._id}/restore`)
+      .set('Authorization', `Bearer ${generateToken(other)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,102 @@
+// sitemap.test.js - Integration tests for XML sitemaps
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+// Keep the per-file URL limit small so the sitemap index can be exercised
+process.env.SITEMAP_URL_LIMIT = '4';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { SITE_URL } = require('../../src/config/env');
+const { postFactory } = require('../factories');
+
+let author;
+let category;
+
+const createTestPost = postFactory(() => ({ category: category._id, author: author._id }));
+
+beforeEach(async () => {
+  author = await User.create({
+    username: 'mapper',
+    email: 'mapper@example.com',
+    password: 'password123',
+  });
+  category = await Category.create({ name: 'Travel' });
+});
+
+describe('GET /sitemap.xml', () => {
+  it('should list published posts, categories and authors', async () => {
+    const post = await createTestPost({ slug: 'visible-post' });
+
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/xml/);
+    expect(res.text).toContain('<urlset');
+    expect(res.text).toContain(`<loc>${SITE_URL}/posts/visible-post</loc>`);
+    expect(res.text).toContain(`<lastmod>${post.updatedAt.toISOString()}</lastmod>`);
+    expect(res.text).toContain(`<loc>${SITE_URL}/categories/travel</loc>`);
+    expect(res.text).toContain(`<loc>${SITE_URL}/authors/mapper</loc>`);
+  });
+
+  it('should never include drafts, scheduled or archived posts', async () => {
+    await createTestPost({ slug: 'draft-post', status: 'draft' });
+    await createTestPost({ slug: 'archived-post', status: 'archived' });
+    await createTestPost({
+      slug: 'scheduled-post',
+      status: 'scheduled',
+      publishedAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.text).not.toContain('draft-post');
+    expect(res.text).not.toContain('archived-post');
+    expect(res.text).not.toContain('scheduled-post');
+    expect(res.text).not.toContain('/categories/travel');
+    expect(res.text).not.toContain('/authors/mapper');
+  });
+
+  it('should switch to a sitemap index above the URL limit', async () => {
+    for (let i = 1; i <= 6; i += 1) {
+      await createTestPost({ slug: `post-${i}` });
+    }
+
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<sitemapindex');
+    expect(res.text).toMatch(/<loc>http:\/\/[^<]+\/sitemaps\/posts-1\.xml<\/loc>/);
+    expect(res.text).toContain('/sitemaps/posts-2.xml</loc>');
+    expect(res.text).not.toContain('/sitemaps/posts-3.xml');
+    expect(res.text).toContain('/sitemaps/categories.xml</loc>');
+    expect(res.text).toContain('/sitemaps/authors.xml</loc>');
+  });
+});
+
+describe('GET /sitemaps/*', () => {
+  it('should page posts across sitemap files', async () => {
+    for (let i = 1; i <= 6; i += 1) {
+      await createTestPost({ slug: `post-${i}` });
+    }
+
+    const first = await request(app).get('/sitemaps/posts-1.xml');
+    const second = await request(app).get('/sitemaps/posts-2.xml');
+    const missing = await request(app).get('/sitemaps/posts-3.xml');
+
+    expect(first.text.match(/<url>/g)).toHaveLength(4);
+    expect(second.text.match(/<url>/g)).toHaveLength(2);
+    expect(missing.status).toBe(404);
+  });
+
+  it('should list category and author pages', async () => {
+    await createTestPost();
+
+    const categories = await request(app).get('/sitemaps/categories.xml');
+    const authors = await request(app).get('/sitemaps/authors.xml');
+
+    expect(categories.text).toContain('/categories/travel</loc>');
+    expect(authors.text).toContain('/authors/mapper</loc>');
+  });
+});
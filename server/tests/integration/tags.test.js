@@ -0,0 +1,168 @@
+// tags.test.js - Integration tests for tags API endpoints
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const { generateToken } = require('../../src/utils/auth');
+const { postFactory } = require('../factories');
+
+let authorId;
+let userToken;
+let adminToken;
+
+const createTestPost = postFactory(() => ({ author: authorId }));
+
+beforeEach(async () => {
+  const user = await User.create({
+    username: 'tagger',
+    email: 'tagger@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+
+  authorId = user._id;
+  userToken = generateToken(user);
+  adminToken = generateToken(admin);
+});
+
+describe('GET /api/tags', () => {
+  it('should return tags with usage counts, most used first', async () => {
+    await createTestPost({ tags: ['javascript', 'react'] });
+    await createTestPost({ tags: ['javascript', 'node'] });
+    await createTestPost({ tags: ['javascript'] });
+
+    const res = await request(app).get('/api/tags');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tags).toEqual([
+      { tag: 'javascript', count: 3 },
+      { tag: 'node', count: 1 },
+      { tag: 'react', count: 1 },
+    ]);
+  });
+
+  it('should only count posts visible to the requester', async () => {
+    await createTestPost({ tags: ['public'] });
+    await createTestPost({ tags: ['secret'], status: 'draft' });
+    await createTestPost({ tags: ['binned'], deletedAt: new Date() });
+
+    const anonymous = await request(app).get('/api/tags');
+    const author = await request(app).get('/api/tags').set('Authorization', `Bearer ${userToken}`);
+
+    expect(anonymous.body.data.tags.map(t => t.tag)).toEqual(['public']);
+    expect(author.body.data.tags.map(t => t.tag).sort()).toEqual(['public', 'secret']);
+  });
+
+  it('should sort by name and apply a limit', async () => {
+    await createTestPost({ tags: ['zeta', 'alpha', 'mid'] });
+
+    const res = await request(app).get('/api/tags?sort=name&limit=2');
+
+    expect(res.body.data.tags.map(t => t.tag)).toEqual(['alpha', 'mid']);
+  });
+});
+
+describe('GET /api/tags/autocomplete', () => {
+  it('should suggest tags by prefix, most used first', async () => {
+    await createTestPost({ tags: ['javascript', 'java'] });
+    await createTestPost({ tags: ['javascript', 'jquery'] });
+    await createTestPost({ tags: ['python'] });
+
+    const res = await request(app).get('/api/tags/autocomplete?prefix=JA');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.suggestions).toEqual(['javascript', 'java']);
+  });
+
+  it('should treat the prefix literally', async () => {
+    await createTestPost({ tags: ['c++', 'css'] });
+
+    const res = await request(app).get(`/api/tags/autocomplete?prefix=${encodeURIComponent('c+')}`);
+
+    expect(res.body.data.suggestions).toEqual(['c++']);
+  });
+
+  it('should require a prefix', async () => {
+    const res = await request(app).get('/api/tags/autocomplete');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/tags/:tag', () => {
+  it('should rename a tag on every post when admin', async () => {
+    const first = await createTestPost({ tags: ['javscript', 'react'] });
+    const second = await createTestPost({ tags: ['javscript'] });
+
+    const res = await request(app)
+      .put('/api/tags/javscript')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'JavaScript' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ tag: 'javascript', modifiedCount: 2 });
+    expect((await Post.findById(first._id)).tags).toEqual(['javascript', 'react']);
+    expect((await Post.findById(second._id)).tags).toEqual(['javascript']);
+  });
+
+  it('should return 404 for an unused tag', async () => {
+    const res = await request(app)
+      .put('/api/tags/nothing')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'something' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 403 for non-admin users', async () => {
+    const res = await request(app)
+      .put('/api/tags/react')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'reactjs' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/tags/merge', () => {
+  it('should merge tags without duplicating them on a post', async () => {
+    const post = await createTestPost({ tags: ['js', 'react', 'javascript', 'ecmascript'] });
+    const other = await createTestPost({ tags: ['ecmascript'] });
+
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sources: ['js', 'ecmascript', 'javascript'], target: 'javascript' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sources).toEqual(['js', 'ecmascript']);
+    expect(res.body.data.modifiedCount).toBe(2);
+    expect((await Post.findById(post._id)).tags).toEqual(['javascript', 'react']);
+    expect((await Post.findById(other._id)).tags).toEqual(['javascript']);
+  });
+
+  it('should validate the request body', async () => {
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sources: [], target: 'javascript' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject merging a tag into itself', async () => {
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sources: ['javascript'], target: 'javascript' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,259 @@
+// uploads.test.js - Integration tests for image upload endpoints
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+const request = require('supertest');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const { generateToken } = require('../../src/utils/auth');
+const { getStorage, setStorage } = require('../../src/storage');
+const purgeTrash = require('../../src/jobs/purgeTrash');
+const { TRASH_RETENTION_MS } = require('../../src/config/env');
+
+const originalStorage = getStorage();
+let files;
+let user;
+let token;
+let otherToken;
+let adminToken;
+let post;
+let png;
+
+beforeAll(async () => {
+  png = await sharp({
+    create: { width: 640, height: 480, channels: 3, background: '#cc8800' },
+  }).png().toBuffer();
+});
+
+afterAll(() => {
+  setStorage(originalStorage);
+});
+
+beforeEach(async () => {
+  // Keep uploads in memory so tests never touch the uploads directory
+  files = new Map();
+  setStorage({
+    save: async (key, buffer) => {
+      files.set(key, buffer);
+      return `/files/${key}`;
+    },
+    removePrefix: async (prefix) => {
+      [...files.keys()].filter(key => key.startsWith(`${prefix}/`)).forEach(key => files.delete(key));
+    },
+    keyFromUrl: (url) => (url && url.startsWith('/files/') ? url.slice('/files/'.length) : null),
+  });
+
+  user = await User.create({
+    username: 'uploader',
+    email: 'uploader@example.com',
+    password: 'password123',
+  });
+  const other = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+
+  token = generateToken(user);
+  otherToken = generateToken(other);
+  adminToken = generateToken(admin);
+
+  post = await Post.create({
+    title: 'Illustrated Post',
+    content: 'This post gets a featured image in these tests',
+    category: new mongoose.Types.ObjectId(),
+    author: user._id,
+    status: 'published',
+  });
+});
+
+describe('POST /api/posts/:id/featured-image', () => {
+  it('should store the image and thumbnails on the post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', png, 'cover.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.featuredImage).toMatch(/original\.webp$/);
+    expect(Object.keys(res.body.data.thumbnails)).toEqual(['small', 'medium', 'large']);
+
+    const saved = await Post.findById(post._id);
+    expect(saved.featuredImage).toBe(res.body.data.featuredImage);
+    expect(saved.featuredImageThumbnails.small).toBe(res.body.data.thumbnails.small);
+    expect(files.size).toBe(4);
+  });
+
+  it('should remove the previous image when replacing it', async () => {
+    const upload = () => request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', png, 'cover.png');
+
+    const first = await upload();
+    const second = await upload();
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.featuredImage).not.toBe(first.body.data.featuredImage);
+    expect(files.size).toBe(4);
+  });
+
+  it('should reject unsupported file types', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', Buffer.from('plain text'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(400);
+    expect(files.size).toBe(0);
+  });
+
+  it('should reject files that only claim to be images', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', Buffer.from('not really a png'), { filename: 'fake.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Uploaded file is not a valid image');
+  });
+
+  it('should require a file', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 403 for users who do not own the post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .attach('image', png, 'cover.png');
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/posts/:id/featured-image', () => {
+  it('should clear the field and remove stored files', async () => {
+    await request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', png, 'cover.png');
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect((await Post.findById(post._id)).featuredImage).toBe('');
+    expect(files.size).toBe(0);
+  });
+});
+
+describe('Profile images', () => {
+  it('should upload a profile image for the current user', async () => {
+    const res = await request(app)
+      .post('/api/auth/profile/image')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', png, 'me.png');
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).profileImage).toBe(res.body.data.profileImage);
+  });
+
+  it('should remove a profile image', async () => {
+    await request(app)
+      .post('/api/auth/profile/image')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', png, 'me.png');
+
+    const res = await request(app)
+      .delete('/api/auth/profile/image')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(files.size).toBe(0);
+  });
+});
+
+describe('Image fields', () => {
+  it('should not let clients point a profile image at other stored files', async () => {
+    files.set('users/other/abc/original.webp', Buffer.from('other user'));
+
+    await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ profileImage: '/files/users/other/abc/original.webp' });
+
+    const res = await request(app)
+      .delete('/api/auth/profile/image')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).profileImage).toBe('');
+    expect(files.has('users/other/abc/original.webp')).toBe(true);
+  });
+
+  it('should not let clients set a featured image URL directly', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ featuredImage: '/files/posts/other/abc/original.webp' });
+
+    expect(res.status).toBe(200);
+    expect((await Post.findById(post._id)).featuredImage).toBe('');
+  });
+
+  it('should leave files alone when a stored URL points outside the owner folder', async () => {
+    files.set('posts/other/abc/original.webp', Buffer.from('other post'));
+    await Post.updateOne({ _id: post._id }, { featuredImage: '/files/posts/other/abc/original.webp' });
+
+    await request(app)
+      .delete(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(files.has('posts/other/abc/original.webp')).toBe(true);
+  });
+});
+
+describe('Orphan cleanup', () => {
+  it('should remove stored images when the trashed post is purged', async () => {
+    await request(app)
+      .post(`/api/posts/${post._id}/featured-image`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', png, 'cover.png');
+
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(files.size).toBe(4);
+
+    await purgeTrash.run(new Date(Date.now() + TRASH_RETENTION_MS + 1000));
+    expect(files.size).toBe(0);
+  });
+
+  it('should remove stored images when the user is deleted', async () => {
+    await request(app)
+      .post('/api/auth/profile/image')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', png, 'me.png');
+
+    const res = await request(app)
+      .delete(`/api/users/${user._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(files.size).toBe(0);
+  });
+});
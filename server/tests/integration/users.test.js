@@ -0,0 +1,208 @@
+// users.test.js - Integration tests for admin users API endpoints
+// Database connection and cleanup between tests are handled by tests/setup.js
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const { generateToken } = require('../../src/utils/auth');
+
+let admin;
+let adminToken;
+let userToken;
+
+beforeEach(async () => {
+  admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  const user = await User.create({
+    username: 'regularuser',
+    email: 'user@example.com',
+    password: 'password123',
+  });
+
+  adminToken = generateToken(admin);
+  userToken = generateToken(user);
+});
+
+describe('GET /api/users', () => {
+  it('should list users with page pagination when admin', async () => {
+    const res = await request(app)
+      .get('/api/users?page=1&limit=1')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.users).toHaveLength(1);
+    expect(res.body.data.users[0]).not.toHaveProperty('password');
+    expect(res.body.data.pagination).toMatchObject({
+      page: 1,
+      limit: 1,
+      total: 2,
+      pages: 2,
+      hasMore: true,
+    });
+  });
+
+  it('should page through users with cursors', async () => {
+    const first = await request(app)
+      .get('/api/users?limit=1&sort=createdAt')
+      .set('Authorization', `Bearer ${adminToken}`);
+    const second = await request(app)
+      .get(`/api/users?limit=1&sort=createdAt&cursor=${first.body.data.pagination.nextCursor}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.pagination).toEqual({ limit: 1, hasMore: false, nextCursor: null });
+    expect(second.body.data.users[0].username).not.toBe(first.body.data.users[0].username);
+  });
+
+  it('should page through users sorted by username', async () => {
+    const first = await request(app)
+      .get('/api/users?limit=1&sort=-username')
+      .set('Authorization', `Bearer ${adminToken}`);
+    const second = await request(app)
+      .get(`/api/users?limit=1&sort=-username&cursor=${first.body.data.pagination.nextCursor}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(second.status).toBe(200);
+    expect(first.body.data.users[0].username).toBe('regularuser');
+    expect(second.body.data.users[0].username).toBe('adminuser');
+  });
+
+  it('should reject sort fields users do not have', async () => {
+    const res = await request(app)
+      .get('/api/users?sort=title')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 403 for non-admin users', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/users/:id', () => {
+  it('should return a user', async () => {
+    const res = await request(app)
+      .get(`/api/users/${admin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.username).toBe('adminuser');
+  });
+
+  it('should return 404 for a missing user', async () => {
+    const res = await request(app)
+      .get(`/api/users/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/users/:id', () => {
+  it('should update allowed fields only', async () => {
+    const user = await User.findOne({ username: 'regularuser' });
+
+    const res = await request(app)
+      .put(`/api/users/${user._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false, username: 'renamed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.isActive).toBe(false);
+    expect(res.body.data.user.username).toBe('regularuser');
+  });
+
+  it('should reject invalid roles and non-boolean isActive', async () => {
+    const user = await User.findOne({ username: 'regularuser' });
+
+    for (const body of [{ role: 'superuser' }, { isActive: 'sometimes' }, { firstName: { $gt: '' } }]) {
+      const res = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Validation failed');
+    }
+
+    const unchanged = await User.findById(user._id);
+    expect(unchanged.role).toBe('user');
+    expect(unchanged.isActive).toBe(true);
+  });
+});
+
+describe('DELETE /api/users/:id', () => {
+  it('should delete another user', async () => {
+    const user = await User.findOne({ username: 'regularuser' });
+
+    const res = await request(app)
+      .delete(`/api/users/${user._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await User.findById(user._id)).toBeNull();
+  });
+
+  it('should refuse to delete the requesting admin', async () => {
+    const res = await request(app)
+      .delete(`/api/users/${admin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/users/:id/unlock', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.findOne({ username: 'regularuser' });
+    await LoginAttempt.create({
+      key: LoginAttempt.accountKey(user.email),
+      failures: 10,
+      lastFailureAt: new Date(),
+      blockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+      locked: true,
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000),
+    });
+  });
+
+  it('should lift a login lockout', async () => {
+    const locked = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'password123' });
+    expect(locked.status).toBe(429);
+
+    const res = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await LoginAttempt.countDocuments()).toBe(0);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'password123' });
+    expect(login.status).toBe(200);
+  });
+
+  it('should return 403 for non-admin users', async () => {
+    const res = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+    expect(await LoginAttempt.countDocuments()).toBe(1);
+  });
+});
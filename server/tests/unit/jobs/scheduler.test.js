@@ -0,0 +1,81 @@
+// tests/unit/jobs/scheduler.test.js - Unit tests for the background job scheduler
+
+const { runJob, startJobs, stopJobs } = require('../../../src/jobs/scheduler');
+const logger = require('../../../src/utils/logger');
+
+describe('Job Scheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    stopJobs();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('runJob', () => {
+    it('should log job failures instead of throwing', async () => {
+      const job = { name: 'failing', run: jest.fn().mockRejectedValue(new Error('boom')) };
+
+      await expect(runJob(job)).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith(
+        'Background job failed: failing',
+        expect.objectContaining({ error: 'boom' })
+      );
+    });
+  });
+
+  describe('startJobs', () => {
+    it('should run jobs immediately and then on every interval', async () => {
+      const job = { name: 'counter', intervalMs: 1000, run: jest.fn().mockResolvedValue() };
+
+      startJobs([job]);
+      expect(job.run).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(job.run).toHaveBeenCalledTimes(4);
+    });
+
+    it('should skip ticks while a previous run is still in progress', async () => {
+      let finish;
+      const job = {
+        name: 'slow',
+        intervalMs: 1000,
+        run: jest.fn(() => new Promise(resolve => { finish = resolve; })),
+      };
+
+      startJobs([job]);
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(job.run).toHaveBeenCalledTimes(1);
+
+      finish();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(job.run).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not schedule the same job twice', async () => {
+      const job = { name: 'once', intervalMs: 1000, run: jest.fn().mockResolvedValue() };
+
+      startJobs([job]);
+      startJobs([job]);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(job.run).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('stopJobs', () => {
+    it('should stop all scheduled jobs', async () => {
+      const job = { name: 'stoppable', intervalMs: 1000, run: jest.fn().mockResolvedValue() };
+
+      startJobs([job]);
+      stopJobs();
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(job.run).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+// tests/unit/mail/outboxTransport.test.js - Unit tests for the outbox mail transport
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createOutboxTransport } = require('../../../src/mail/outboxTransport');
+
+describe('Outbox Transport', () => {
+  let dir;
+  let transport;
+
+  beforeEach(async () => {
+    dir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'mail-')), 'outbox');
+    transport = createOutboxTransport({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(path.dirname(dir), { recursive: true, force: true });
+  });
+
+  it('should write each message to its own file', async () => {
+    const message = { from: 'blog@example.com', to: 'user@example.com', subject: 'Hello', text: 'Body' };
+
+    const first = await transport.send(message);
+    const second = await transport.send({ ...message, subject: 'Again' });
+
+    expect(first.id).not.toBe(second.id);
+
+    const files = await fs.readdir(dir);
+    expect(files).toHaveLength(2);
+
+    const stored = JSON.parse(await fs.readFile(path.join(dir, files.find(f => f.includes(first.id))), 'utf8'));
+    expect(stored).toMatchObject({ id: first.id, ...message });
+    expect(new Date(stored.sentAt).getTime()).not.toBeNaN();
+  });
+});
@@ -4,13 +4,16 @@ const {
   authenticateToken,
   requireRole,
   requireOwnership,
+  requireVerifiedEmail,
   optionalAuth,
 } = require('../../../src/middleware/auth');
 const User = require('../../../src/models/User');
+const RevokedToken = require('../../../src/models/RevokedToken');
 const { generateToken } = require('../../../src/utils/auth');
 
-// Mock User model
+// Mock User and RevokedToken models
 jest.mock('../../../src/models/User');
+jest.mock('../../../src/models/RevokedToken');
 
 describe('Auth Middleware', () => {
   let mockReq, mockRes, mockNext;
@@ -126,6 +129,51 @@ describe('Auth Middleware', () => {
       });
       expect(mockNext).not.toHaveBeenCalled();
     });
+
+    it('should reject a revoked token', async () => {
+      const token = generateToken(mockUser);
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      RevokedToken.isRevoked.mockResolvedValue(true);
+
+      await authenticateToken(mockReq, mockRes, mockNext);
+
+      expect(RevokedToken.isRevoked).toHaveBeenCalledWith(expect.any(String));
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Token has been revoked',
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token issued before tokensValidAfter', async () => {
+      const token = generateToken(mockUser);
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      const loggedOutUser = { ...mockUser, tokensValidAfter: new Date(Date.now() + 60000) };
+      User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(loggedOutUser) });
+      RevokedToken.isRevoked.mockResolvedValue(false);
+
+      await authenticateToken(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should attach the decoded payload to req.auth', async () => {
+      const token = generateToken(mockUser);
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      RevokedToken.isRevoked.mockResolvedValue(false);
+
+      await authenticateToken(mockReq, mockRes, mockNext);
+
+      expect(mockReq.auth).toEqual(expect.objectContaining({ id: mockUser._id, jti: expect.any(String) }));
+      expect(mockNext).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('requireRole', () => {
@@ -228,6 +276,47 @@ describe('Auth Middleware', () => {
     });
   });
 
+  describe('requireVerifiedEmail', () => {
+    const requiredFor = ['posts', 'comments'];
+
+    it('should block unverified users from actions covered by the policy', () => {
+      mockReq.user = { _id: 'user1', emailVerified: false };
+
+      requireVerifiedEmail('posts', { requiredFor })(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Please verify your email address to continue',
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should allow unverified users actions outside the policy', () => {
+      mockReq.user = { _id: 'user1', emailVerified: false };
+
+      requireVerifiedEmail('likes', { requiredFor })(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(1);
+    });
+
+    it('should allow verified users', () => {
+      mockReq.user = { _id: 'user1', emailVerified: true };
+
+      requireVerifiedEmail('posts', { requiredFor })(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should require authentication', () => {
+      requireVerifiedEmail('posts', { requiredFor })(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
   describe('optionalAuth', () => {
     it('should attach user when valid token provided', async () => {
       const mockUser = {
@@ -263,5 +352,24 @@ describe('Auth Middleware', () => {
       expect(mockNext).toHaveBeenCalledTimes(1);
       expect(mockRes.status).not.toHaveBeenCalled();
     });
+
+    it('should continue without user when the token is revoked', async () => {
+      const mockUser = {
+        _id: '507f1f77bcf86cd799439011',
+        username: 'testuser',
+        isActive: true,
+      };
+      const token = generateToken(mockUser);
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      RevokedToken.isRevoked.mockResolvedValue(true);
+
+      await optionalAuth(mockReq, mockRes, mockNext);
+
+      expect(mockReq.user).toBeNull();
+      expect(mockNext).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
   });
 });
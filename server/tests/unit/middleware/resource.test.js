@@ -0,0 +1,107 @@
+// tests/unit/middleware/resource.test.js - Unit tests for resource loading middleware
+
+const { loadResource } = require('../../../src/middleware/resource');
+
+/**
+ * Build a chainable query mock resolving to the given value
+ * @param {*} value - Resolved value
+ * @returns {Object} Query mock
+ */
+const mockQuery = (value) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    populate: jest.fn().mockReturnThis(),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+describe('Resource Middleware', () => {
+  let mockReq, mockRes, mockNext, Model;
+
+  beforeEach(() => {
+    mockReq = {
+      params: { id: '507f1f77bcf86cd799439011' },
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    mockNext = jest.fn();
+
+    Model = {
+      modelName: 'Post',
+      findById: jest.fn(),
+    };
+  });
+
+  describe('loadResource', () => {
+    it('should attach the loaded document to req.resource', async () => {
+      const doc = { _id: mockReq.params.id, author: 'user1' };
+      Model.findById.mockReturnValue(mockQuery(doc));
+
+      await loadResource(Model)(mockReq, mockRes, mockNext);
+
+      expect(Model.findById).toHaveBeenCalledWith(mockReq.params.id);
+      expect(mockReq.resource).toBe(doc);
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should respond 404 with the model name when the document is missing', async () => {
+      Model.findById.mockReturnValue(mockQuery(null));
+
+      await loadResource(Model)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Post not found',
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should read the id from a custom route parameter', async () => {
+      mockReq.params = { commentId: '507f191e810c19729de860ea' };
+      Model.findById.mockReturnValue(mockQuery({}));
+
+      await loadResource(Model, { param: 'commentId' })(mockReq, mockRes, mockNext);
+
+      expect(Model.findById).toHaveBeenCalledWith('507f191e810c19729de860ea');
+    });
+
+    it('should apply select and populate options', async () => {
+      const query = mockQuery({});
+      Model.findById.mockReturnValue(query);
+
+      await loadResource(Model, { select: '-password', populate: 'author' })(mockReq, mockRes, mockNext);
+
+      expect(query.select).toHaveBeenCalledWith('-password');
+      expect(query.populate).toHaveBeenCalledWith('author');
+    });
+
+    it('should respond 404 when canAccess rejects the document', async () => {
+      const doc = { _id: mockReq.params.id, status: 'draft' };
+      const canAccess = jest.fn().mockReturnValue(false);
+      Model.findById.mockReturnValue(mockQuery(doc));
+
+      await loadResource(Model, { canAccess })(mockReq, mockRes, mockNext);
+
+      expect(canAccess).toHaveBeenCalledWith(doc, mockReq);
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockReq.resource).toBeUndefined();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should pass query errors to next', async () => {
+      const error = new Error('Database unavailable');
+      Model.findById.mockReturnValue(mockQuery(Promise.reject(error)));
+
+      await loadResource(Model)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+    });
+  });
+});
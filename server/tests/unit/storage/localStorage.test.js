@@ -0,0 +1,48 @@
+// tests/unit/storage/localStorage.test.js - Unit tests for the local disk storage adapter
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../../../src/storage/localStorage');
+
+describe('Local Storage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+    storage = createLocalStorage({ root, baseUrl: '/uploads' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should write files and return their public URL', async () => {
+    const url = await storage.save('posts/1/abc/original.webp', Buffer.from('data'));
+
+    expect(url).toBe('/uploads/posts/1/abc/original.webp');
+    await expect(fs.readFile(path.join(root, 'posts/1/abc/original.webp'), 'utf8')).resolves.toBe('data');
+  });
+
+  it('should map its own URLs back to keys', () => {
+    expect(storage.keyFromUrl('/uploads/posts/1/abc/original.webp')).toBe('posts/1/abc/original.webp');
+    expect(storage.keyFromUrl('https://cdn.example.com/image.png')).toBeNull();
+    expect(storage.keyFromUrl('')).toBeNull();
+  });
+
+  it('should remove everything under a prefix', async () => {
+    await storage.save('posts/1/abc/original.webp', Buffer.from('a'));
+    await storage.save('posts/1/abc/small.webp', Buffer.from('b'));
+    await storage.save('posts/1/def/original.webp', Buffer.from('c'));
+
+    await storage.removePrefix('posts/1/abc');
+
+    await expect(fs.readdir(path.join(root, 'posts/1'))).resolves.toEqual(['def']);
+  });
+
+  it('should refuse keys outside the root directory', async () => {
+    await expect(storage.save('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.removePrefix('..')).rejects.toThrow('Invalid storage key');
+  });
+});
@@ -4,6 +4,11 @@ const {
   generateToken,
   verifyToken,
   extractToken,
+  generateResetToken,
+  verifyResetToken,
+  generateVerificationToken,
+  verifyVerificationToken,
+  loginFailureDelay,
   hasRole,
 } = require('../../../src/utils/auth');
 
@@ -24,6 +29,14 @@ describe('Auth Utils', () => {
       expect(token.split('.')).toHaveLength(3); // JWT has 3 parts
     });
 
+    it('should give every token a unique id', () => {
+      const first = verifyToken(generateToken(mockUser));
+      const second = verifyToken(generateToken(mockUser));
+
+      expect(typeof first.jti).toBe('string');
+      expect(first.jti).not.toBe(second.jti);
+    });
+
     it('should include user information in token payload', () => {
       const token = generateToken(mockUser);
       const decoded = verifyToken(token);
@@ -95,6 +108,66 @@ describe('Auth Utils', () => {
     });
   });
 
+  describe('generateResetToken / verifyResetToken', () => {
+    it('should round-trip the user id with a unique token id', () => {
+      const payload = verifyResetToken(generateResetToken(mockUser._id));
+
+      expect(payload.userId).toBe(mockUser._id);
+      expect(payload.type).toBe('reset');
+      expect(typeof payload.jti).toBe('string');
+      expect(payload.exp - payload.iat).toBe(60 * 60);
+    });
+
+    it('should reject access tokens used as reset tokens', () => {
+      expect(() => verifyResetToken(generateToken(mockUser))).toThrow('Invalid or expired reset token');
+    });
+
+    it('should reject malformed reset tokens', () => {
+      expect(() => verifyResetToken('not-a-token')).toThrow('Invalid or expired reset token');
+    });
+  });
+
+  describe('generateVerificationToken / verifyVerificationToken', () => {
+    it('should round-trip the user id and email', () => {
+      const payload = verifyVerificationToken(generateVerificationToken(mockUser));
+
+      expect(payload.userId).toBe(mockUser._id);
+      expect(payload.email).toBe(mockUser.email);
+      expect(payload.type).toBe('verify');
+    });
+
+    it('should reject reset tokens used as verification tokens', () => {
+      expect(() => verifyVerificationToken(generateResetToken(mockUser._id)))
+        .toThrow('Invalid or expired verification token');
+    });
+  });
+
+  describe('loginFailureDelay', () => {
+    const policy = { backoffAfter: 3, baseMs: 1000, lockoutThreshold: 10, lockoutMs: 15 * 60 * 1000 };
+
+    it('should not delay before the backoff threshold', () => {
+      expect(loginFailureDelay(2, policy)).toEqual({ delayMs: 0, locked: false });
+    });
+
+    it('should double the delay with each failure past the threshold', () => {
+      expect(loginFailureDelay(3, policy).delayMs).toBe(1000);
+      expect(loginFailureDelay(4, policy).delayMs).toBe(2000);
+      expect(loginFailureDelay(9, policy).delayMs).toBe(64000);
+    });
+
+    it('should lock out at the lockout threshold', () => {
+      expect(loginFailureDelay(10, policy)).toEqual({ delayMs: 15 * 60 * 1000, locked: true });
+    });
+
+    it('should cap the backoff at the lockout duration', () => {
+      expect(loginFailureDelay(30, { ...policy, lockoutThreshold: 40 }).delayMs).toBe(15 * 60 * 1000);
+    });
+
+    it('should never back off when backoffAfter is Infinity', () => {
+      expect(loginFailureDelay(49, { ...policy, backoffAfter: Infinity, lockoutThreshold: 50 }).delayMs).toBe(0);
+    });
+  });
+
   describe('hasRole', () => {
     it('should return true when user has exact required role', () => {
       expect(hasRole('user', 'user')).toBe(true);
@@ -0,0 +1,75 @@
+// tests/unit/utils/diff.test.js - Unit tests for text diff utilities
+
+const { diffLines, formatDiff } = require('../../../src/utils/diff');
+
+describe('Diff Utils', () => {
+  describe('diffLines', () => {
+    it('should mark identical texts as unchanged', () => {
+      expect(diffLines('a\nb', 'a\nb')).toEqual([
+        { type: 'unchanged', line: 'a' },
+        { type: 'unchanged', line: 'b' },
+      ]);
+    });
+
+    it('should detect added, removed and unchanged lines', () => {
+      expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+        { type: 'unchanged', line: 'a' },
+        { type: 'removed', line: 'b' },
+        { type: 'unchanged', line: 'c' },
+        { type: 'added', line: 'd' },
+      ]);
+    });
+
+    it('should handle empty texts on either side', () => {
+      expect(diffLines('', 'new')).toEqual([{ type: 'added', line: 'new' }]);
+      expect(diffLines('old', '')).toEqual([{ type: 'removed', line: 'old' }]);
+      expect(diffLines('', '')).toEqual([]);
+    });
+
+    it('should show a changed line as a removal followed by an addition', () => {
+      expect(diffLines('Old title', 'New title')).toEqual([
+        { type: 'removed', line: 'Old title' },
+        { type: 'added', line: 'New title' },
+      ]);
+    });
+
+    it('should keep common leading and trailing lines around a change', () => {
+      expect(diffLines('a\nb\nx\ny\nc', 'a\nb\nz\nc')).toEqual([
+        { type: 'unchanged', line: 'a' },
+        { type: 'unchanged', line: 'b' },
+        { type: 'removed', line: 'x' },
+        { type: 'removed', line: 'y' },
+        { type: 'added', line: 'z' },
+        { type: 'unchanged', line: 'c' },
+      ]);
+    });
+
+    it('should fall back to replacing the changed block past the edit distance limit', () => {
+      expect(diffLines('a\nb\nc\nd', 'a\nx\nc\ny', { maxDistance: 2 })).toEqual([
+        { type: 'unchanged', line: 'a' },
+        { type: 'removed', line: 'b' },
+        { type: 'removed', line: 'c' },
+        { type: 'removed', line: 'd' },
+        { type: 'added', line: 'x' },
+        { type: 'added', line: 'c' },
+        { type: 'added', line: 'y' },
+      ]);
+    });
+
+    it('should diff large texts without quadratic memory', () => {
+      const oldText = Array.from({ length: 10000 }, (_, i) => String(i % 7)).join('\n');
+      const newText = Array.from({ length: 10000 }, (_, i) => String((i + 3) % 11)).join('\n');
+
+      const ops = diffLines(oldText, newText);
+
+      expect(ops.filter(op => op.type !== 'added')).toHaveLength(10000);
+      expect(ops.filter(op => op.type !== 'removed')).toHaveLength(10000);
+    });
+  });
+
+  describe('formatDiff', () => {
+    it('should prefix lines by operation type', () => {
+      expect(formatDiff(diffLines('a\nb', 'a\nc'))).toBe('  a\n- b\n+ c');
+    });
+  });
+});
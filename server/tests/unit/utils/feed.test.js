@@ -0,0 +1,67 @@
+// tests/unit/utils/feed.test.js - Unit tests for feed builders
+
+const { escapeXml, buildRss, buildAtom } = require('../../../src/utils/feed');
+
+const feed = {
+  id: 'https://api.example.com/feeds/posts.atom',
+  title: 'Blog & News',
+  description: 'Latest posts',
+  link: 'https://example.com',
+  selfUrl: 'https://api.example.com/feeds/posts.atom',
+  updated: new Date('2024-05-02T10:00:00Z'),
+};
+
+const item = {
+  id: 'tag:example.com,2024-05-01:post:1',
+  title: 'Generics <T> in "practice"',
+  link: 'https://example.com/posts/generics',
+  summary: 'Fish & chips',
+  author: 'Jane Doe',
+  published: new Date('2024-05-01T09:00:00Z'),
+  updated: new Date('2024-05-02T10:00:00Z'),
+  categories: ['Programming', 'typescript'],
+};
+
+describe('Feed Utils', () => {
+  describe('escapeXml', () => {
+    it('should escape XML special characters', () => {
+      expect(escapeXml('<a href="x">Tom & Jerry\'s</a>'))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+  });
+
+  describe('buildRss', () => {
+    it('should build an RSS 2.0 channel with escaped items', () => {
+      const xml = buildRss(feed, [item]);
+
+      expect(xml).toContain('<rss version="2.0"');
+      expect(xml).toContain('<title>Blog &amp; News</title>');
+      expect(xml).toContain('<atom:link href="https://api.example.com/feeds/posts.atom" rel="self"');
+      expect(xml).toContain('<title>Generics &lt;T&gt; in &quot;practice&quot;</title>');
+      expect(xml).toContain('<guid isPermaLink="false">tag:example.com,2024-05-01:post:1</guid>');
+      expect(xml).toContain('<dc:creator>Jane Doe</dc:creator>');
+      expect(xml).toContain('<pubDate>Wed, 01 May 2024 09:00:00 GMT</pubDate>');
+      expect(xml).toContain('<category>typescript</category>');
+    });
+  });
+
+  describe('buildAtom', () => {
+    it('should build an Atom 1.0 feed with ISO dates', () => {
+      const xml = buildAtom(feed, [item]);
+
+      expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(xml).toContain('<updated>2024-05-02T10:00:00.000Z</updated>');
+      expect(xml).toContain('<published>2024-05-01T09:00:00.000Z</published>');
+      expect(xml).toContain('<author><name>Jane Doe</name></author>');
+      expect(xml).toContain('<summary>Fish &amp; chips</summary>');
+      expect(xml).toContain('<category term="Programming"/>');
+    });
+
+    it('should build an empty feed', () => {
+      const xml = buildAtom(feed, []);
+
+      expect(xml).not.toContain('<entry>');
+      expect(xml).toContain('</feed>');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// tests/unit/utils/images.test.js - Unit tests for image helpers
+
+const sharp = require('sharp');
+const { getStorage, setStorage } = require('../../../src/storage');
+const { THUMBNAIL_SIZES, storeImage, removeImage } = require('../../../src/utils/images');
+
+/**
+ * Build an in-memory storage adapter
+ * @returns {Object} Storage adapter exposing its files map
+ */
+const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    save: jest.fn(async (key, buffer) => {
+      files.set(key, buffer);
+      return `/files/${key}`;
+    }),
+    removePrefix: jest.fn(async (prefix) => {
+      [...files.keys()].filter(key => key.startsWith(`${prefix}/`)).forEach(key => files.delete(key));
+    }),
+    keyFromUrl: (url) => (url && url.startsWith('/files/') ? url.slice('/files/'.length) : null),
+  };
+};
+
+const createPng = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#336699' },
+}).png().toBuffer();
+
+describe('Image Utils', () => {
+  const originalStorage = getStorage();
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    setStorage(storage);
+  });
+
+  afterAll(() => {
+    setStorage(originalStorage);
+  });
+
+  describe('storeImage', () => {
+    it('should store the image and one thumbnail per size as WebP', async () => {
+      const { url, thumbnails } = await storeImage(await createPng(1000, 500), 'posts/1');
+
+      expect(url).toMatch(/^\/files\/posts\/1\/[\w-]+\/original\.webp$/);
+      expect(Object.keys(thumbnails)).toEqual(Object.keys(THUMBNAIL_SIZES));
+      expect(storage.files.size).toBe(1 + Object.keys(THUMBNAIL_SIZES).length);
+
+      const small = await sharp(storage.files.get(storage.keyFromUrl(thumbnails.small))).metadata();
+      expect(small.format).toBe('webp');
+      expect(small.width).toBe(THUMBNAIL_SIZES.small);
+    });
+
+    it('should not upscale small images', async () => {
+      const { thumbnails } = await storeImage(await createPng(100, 100), 'posts/1');
+
+      const large = await sharp(storage.files.get(storage.keyFromUrl(thumbnails.large))).metadata();
+      expect(large.width).toBe(100);
+    });
+
+    it('should reject data that is not an image', async () => {
+      await expect(storeImage(Buffer.from('not an image'), 'posts/1')).rejects.toMatchObject({
+        message: 'Uploaded file is not a valid image',
+        statusCode: 400,
+      });
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeImage', () => {
+    it('should remove the image together with its thumbnails', async () => {
+      const { url } = await storeImage(await createPng(300, 300), 'posts/1');
+
+      await expect(removeImage(url, 'posts/1')).resolves.toBe(true);
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should ignore URLs the storage does not own', async () => {
+      await expect(removeImage('https://example.com/photo.jpg', 'posts/1')).resolves.toBe(false);
+      await expect(removeImage('', 'posts/1')).resolves.toBe(false);
+      expect(storage.removePrefix).not.toHaveBeenCalled();
+    });
+
+    it('should refuse URLs outside the owner folder', async () => {
+      const { url } = await storeImage(await createPng(100, 100), 'posts/2');
+      const uuid = url.split('/')[4];
+
+      await expect(removeImage(url, 'posts/1')).resolves.toBe(false);
+      await expect(removeImage('/files/users/x', 'users/1')).resolves.toBe(false);
+      await expect(removeImage('/files/posts/1/x', 'posts/1')).resolves.toBe(false);
+      await expect(removeImage(`/files/posts/1/${uuid}/../../2/${uuid}/original.webp`, 'posts/1')).resolves.toBe(false);
+      await expect(removeImage(`/files/posts/1/${uuid}/other.webp`, 'posts/1')).resolves.toBe(false);
+      expect(storage.removePrefix).not.toHaveBeenCalled();
+      expect(storage.files.size).toBe(4);
+    });
+
+    it('should swallow storage failures', async () => {
+      storage.removePrefix.mockRejectedValueOnce(new Error('disk error'));
+      const url = '/files/posts/1/6f1c2a3e-8b4d-4c5e-9f60-7a8b9c0d1e2f/original.webp';
+
+      await expect(removeImage(url, 'posts/1')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// tests/unit/utils/markdown.test.js - Unit tests for Markdown utilities
+
+const {
+  renderMarkdown,
+  toPlainText,
+  countWords,
+  readingTimeMinutes,
+  buildExcerpt,
+} = require('../../../src/utils/markdown');
+
+describe('Markdown Utils', () => {
+  describe('renderMarkdown', () => {
+    it('should render Markdown to HTML', () => {
+      const html = renderMarkdown('# Title\n\nSome **bold** text');
+
+      expect(html).toContain('<h1>Title</h1>');
+      expect(html).toContain('<strong>bold</strong>');
+    });
+
+    it('should strip scripts and event handlers', () => {
+      const html = renderMarkdown('Hi <script>alert(1)</script><img src="a.png" onerror="alert(1)">');
+
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('onerror');
+      expect(html).toContain('<img src="a.png" />');
+    });
+
+    it('should drop javascript: links and mark external links nofollow', () => {
+      const html = renderMarkdown('[bad](javascript:alert(1)) [good](https://example.com)');
+
+      expect(html).not.toContain('javascript:');
+      expect(html).toContain('<a href="https://example.com" rel="nofollow noopener noreferrer">good</a>');
+    });
+
+    it('should keep language classes on code blocks', () => {
+      const html = renderMarkdown('```js\nconst a = 1;\n```');
+
+      expect(html).toContain('<code class="language-js">');
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('should remove tags and decode entities', () => {
+      expect(toPlainText('<h1>Hi</h1>\n<p>Fish &amp; chips &lt;3</p>')).toBe('Hi Fish & chips <3');
+    });
+  });
+
+  describe('countWords', () => {
+    it('should count whitespace-separated words', () => {
+      expect(countWords('  one two\nthree  ')).toBe(3);
+      expect(countWords('')).toBe(0);
+    });
+  });
+
+  describe('readingTimeMinutes', () => {
+    it('should round up to whole minutes', () => {
+      expect(readingTimeMinutes(1)).toBe(1);
+      expect(readingTimeMinutes(200)).toBe(1);
+      expect(readingTimeMinutes(201)).toBe(2);
+      expect(readingTimeMinutes(0)).toBe(0);
+    });
+  });
+
+  describe('buildExcerpt', () => {
+    it('should return short text unchanged', () => {
+      expect(buildExcerpt('Short text', 50)).toBe('Short text');
+    });
+
+    it('should cut at a word boundary and add an ellipsis', () => {
+      const excerpt = buildExcerpt('The quick brown fox jumps over the lazy dog', 20);
+
+      expect(excerpt).toBe('The quick brown...');
+      expect(excerpt.length).toBeLessThanOrEqual(20);
+    });
+
+    it('should drop trailing punctuation before the ellipsis', () => {
+      expect(buildExcerpt('Hello, world and everyone else', 12)).toBe('Hello...');
+    });
+  });
+});
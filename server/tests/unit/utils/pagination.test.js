@@ -0,0 +1,129 @@
+// tests/unit/utils/pagination.test.js - Unit tests for pagination utilities
+
+const {
+  parseSort,
+  buildSortSpec,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  buildPageQuery,
+  buildPageResult,
+} = require('../../../src/utils/pagination');
+
+const ID_A = '507f1f77bcf86cd799439011';
+const ID_B = '507f1f77bcf86cd799439012';
+
+describe('Pagination Utils', () => {
+  describe('parseSort / buildSortSpec', () => {
+    it('should parse direction from a leading dash', () => {
+      expect(parseSort('-createdAt')).toEqual({ field: 'createdAt', direction: -1 });
+      expect(parseSort('title')).toEqual({ field: 'title', direction: 1 });
+    });
+
+    it('should add _id as a tie-breaker in the same direction', () => {
+      expect(buildSortSpec('-createdAt')).toEqual({ createdAt: -1, _id: -1 });
+    });
+  });
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip date values', () => {
+      const createdAt = new Date('2023-06-01T10:00:00.000Z');
+      const cursor = encodeCursor({ _id: ID_A, createdAt }, '-createdAt');
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(cursor, '-createdAt')).toEqual({ value: createdAt, id: ID_A });
+    });
+
+    it('should round-trip string values', () => {
+      const cursor = encodeCursor({ _id: ID_A, title: 'Hello' }, 'title');
+
+      expect(decodeCursor(cursor, 'title')).toEqual({ value: 'Hello', id: ID_A });
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor', 'title')).toThrow('Invalid pagination cursor');
+    });
+
+    it('should reject forged cursor values', () => {
+      const forge = v => Buffer.from(JSON.stringify({ s: 'title', v, id: ID_A })).toString('base64url');
+
+      expect(() => decodeCursor(forge({ $ne: null }), 'title')).toThrow('Invalid pagination cursor');
+      expect(() => decodeCursor(forge({ $date: 'garbage' }), 'title')).toThrow('Invalid pagination cursor');
+      expect(() => decodeCursor(forge({ $date: '2023-06-01', $ne: 1 }), 'title')).toThrow('Invalid pagination cursor');
+      expect(() => decodeCursor(forge(['a']), 'title')).toThrow('Invalid pagination cursor');
+      expect(() => decodeCursor(forge(null), 'title')).toThrow('Invalid pagination cursor');
+      expect(decodeCursor(forge(3), 'title')).toEqual({ value: 3, id: ID_A });
+    });
+
+    it('should reject cursors issued for a different sort', () => {
+      const cursor = encodeCursor({ _id: ID_A, title: 'Hello' }, 'title');
+
+      expect(() => decodeCursor(cursor, '-title')).toThrow('does not match');
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should select documents after the cursor in descending order', () => {
+      const value = new Date('2023-06-01');
+
+      expect(buildCursorFilter('-createdAt', { value, id: ID_A })).toEqual({
+        $or: [
+          { createdAt: { $lt: value } },
+          { createdAt: value, _id: { $lt: ID_A } },
+        ],
+      });
+    });
+
+    it('should select documents after the cursor in ascending order', () => {
+      expect(buildCursorFilter('title', { value: 'M', id: ID_A })).toEqual({
+        $or: [
+          { title: { $gt: 'M' } },
+          { title: 'M', _id: { $gt: ID_A } },
+        ],
+      });
+    });
+  });
+
+  describe('buildPageQuery', () => {
+    it('should use skip in page mode', () => {
+      expect(buildPageQuery({ a: 1 }, { page: 3, limit: 10, sort: 'title' })).toEqual({
+        filter: { a: 1 },
+        skip: 20,
+        limit: 11,
+      });
+    });
+
+    it('should combine the cursor filter in cursor mode', () => {
+      const cursor = encodeCursor({ _id: ID_A, title: 'M' }, 'title');
+      const result = buildPageQuery({ a: 1 }, { limit: 10, sort: 'title', cursor });
+
+      expect(result.skip).toBe(0);
+      expect(result.limit).toBe(11);
+      expect(result.filter.$and[0]).toEqual({ a: 1 });
+    });
+  });
+
+  describe('buildPageResult', () => {
+    const docs = [
+      { _id: ID_A, title: 'A' },
+      { _id: ID_B, title: 'B' },
+      { _id: '507f1f77bcf86cd799439013', title: 'C' },
+    ];
+
+    it('should build a page envelope with hasMore and nextCursor', () => {
+      const { items, pagination } = buildPageResult(docs, { page: 1, limit: 2, sort: 'title' }, 5);
+
+      expect(items).toHaveLength(2);
+      expect(pagination).toMatchObject({ page: 1, limit: 2, total: 5, pages: 3, hasMore: true });
+      expect(decodeCursor(pagination.nextCursor, 'title')).toEqual({ value: 'B', id: ID_B });
+    });
+
+    it('should build a cursor envelope without totals', () => {
+      const cursor = encodeCursor(docs[0], 'title');
+      const { items, pagination } = buildPageResult(docs.slice(1), { limit: 2, sort: 'title', cursor });
+
+      expect(items).toHaveLength(2);
+      expect(pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+    });
+  });
+});
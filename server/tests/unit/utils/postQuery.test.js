@@ -0,0 +1,129 @@
+// tests/unit/utils/postQuery.test.js - Unit tests for post list query helpers
+
+const {
+  buildVisibilityFilter,
+  canViewPost,
+  isTrashed,
+  buildPostFilter,
+  buildPostSort,
+} = require('../../../src/utils/postQuery');
+
+const admin = { _id: 'admin1', role: 'admin' };
+const user = { _id: 'user1', role: 'user' };
+
+describe('Post Query Utils', () => {
+  describe('buildVisibilityFilter', () => {
+    it('should limit anonymous users to published posts', () => {
+      expect(buildVisibilityFilter()).toEqual({ status: 'published', deletedAt: null });
+    });
+
+    it('should let users also see their own posts', () => {
+      expect(buildVisibilityFilter(user)).toEqual({
+        deletedAt: null,
+        $or: [{ status: 'published' }, { author: 'user1' }],
+      });
+    });
+
+    it('should only hide trashed posts from admins', () => {
+      expect(buildVisibilityFilter(admin)).toEqual({ deletedAt: null });
+    });
+  });
+
+  describe('canViewPost', () => {
+    it('should allow anyone to view published posts', () => {
+      expect(canViewPost({ status: 'published', author: 'user2' })).toBe(true);
+    });
+
+    it('should hide drafts from anonymous users and other users', () => {
+      const draft = { status: 'draft', author: 'user2' };
+
+      expect(canViewPost(draft)).toBe(false);
+      expect(canViewPost(draft, user)).toBe(false);
+    });
+
+    it('should show drafts to their author, including populated authors', () => {
+      expect(canViewPost({ status: 'archived', author: 'user1' }, user)).toBe(true);
+      expect(canViewPost({ status: 'draft', author: { _id: 'user1' } }, user)).toBe(true);
+    });
+
+    it('should show everything to admins', () => {
+      expect(canViewPost({ status: 'draft', author: 'user2' }, admin)).toBe(true);
+    });
+
+    it('should hide trashed posts from everyone', () => {
+      const trashed = { status: 'published', author: 'user1', deletedAt: new Date() };
+
+      expect(canViewPost(trashed)).toBe(false);
+      expect(canViewPost(trashed, user)).toBe(false);
+      expect(canViewPost(trashed, admin)).toBe(false);
+    });
+  });
+
+  describe('isTrashed', () => {
+    it('should detect trashed posts', () => {
+      expect(isTrashed({ deletedAt: new Date() })).toBe(true);
+      expect(isTrashed({ deletedAt: null })).toBe(false);
+      expect(isTrashed({})).toBe(false);
+    });
+  });
+
+  describe('buildPostFilter', () => {
+    it('should return only the visibility rule when no parameters are given', () => {
+      expect(buildPostFilter({})).toEqual({ $and: [{ status: 'published', deletedAt: null }] });
+      expect(buildPostFilter({}, admin)).toEqual({ $and: [{ deletedAt: null }] });
+    });
+
+    it('should add a $text clause for search queries', () => {
+      expect(buildPostFilter({ q: 'react testing' }, admin)).toEqual({
+        $text: { $search: 'react testing' },
+        $and: [{ deletedAt: null }],
+      });
+    });
+
+    it('should combine category, tag, author and status filters', () => {
+      const filter = buildPostFilter({
+        category: 'cat1',
+        tag: 'JavaScript',
+        author: 'user1',
+        status: 'published',
+      }, admin);
+
+      expect(filter).toEqual({
+        category: 'cat1',
+        tags: 'javascript',
+        author: 'user1',
+        status: 'published',
+        $and: [{ deletedAt: null }],
+      });
+    });
+
+    it('should build a publication date range', () => {
+      const from = new Date('2023-01-01');
+      const to = new Date('2023-12-31');
+
+      expect(buildPostFilter({ from, to }, admin)).toEqual({
+        publishedAt: { $gte: from, $lte: to },
+        $and: [{ deletedAt: null }],
+      });
+      expect(buildPostFilter({ from }, admin)).toEqual({
+        publishedAt: { $gte: from },
+        $and: [{ deletedAt: null }],
+      });
+    });
+  });
+
+  describe('buildPostSort', () => {
+    it('should parse ascending and descending sort fields', () => {
+      expect(buildPostSort('title')).toEqual({ title: 1, _id: 1 });
+      expect(buildPostSort('-createdAt')).toEqual({ createdAt: -1, _id: -1 });
+    });
+
+    it('should rank by text score first for searches', () => {
+      expect(buildPostSort('-createdAt', true)).toEqual({
+        score: { $meta: 'textScore' },
+        createdAt: -1,
+        _id: -1,
+      });
+    });
+  });
+});
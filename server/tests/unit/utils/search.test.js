@@ -0,0 +1,85 @@
+// tests/unit/utils/search.test.js - Unit tests for text search utilities
+
+const {
+  escapeHtml,
+  getSearchTerms,
+  highlight,
+  buildSnippet,
+} = require('../../../src/utils/search');
+
+describe('Search Utils', () => {
+  describe('escapeHtml', () => {
+    it('should escape HTML special characters', () => {
+      expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>'))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+  });
+
+  describe('getSearchTerms', () => {
+    it('should split words and lowercase them', () => {
+      expect(getSearchTerms('React Testing')).toEqual(['react', 'testing']);
+    });
+
+    it('should keep quoted phrases together', () => {
+      expect(getSearchTerms('"unit test" jest')).toEqual(['unit test', 'jest']);
+    });
+
+    it('should drop negated terms and duplicates', () => {
+      expect(getSearchTerms('react -angular React -"vue js"')).toEqual(['react']);
+    });
+
+    it('should return an empty array for empty input', () => {
+      expect(getSearchTerms('')).toEqual([]);
+      expect(getSearchTerms()).toEqual([]);
+    });
+  });
+
+  describe('highlight', () => {
+    it('should wrap matches in mark tags case-insensitively', () => {
+      expect(highlight('Testing React apps', ['react']))
+        .toBe('Testing <mark>React</mark> apps');
+    });
+
+    it('should escape surrounding HTML', () => {
+      expect(highlight('<b>react</b>', ['react']))
+        .toBe('&lt;b&gt;<mark>react</mark>&lt;/b&gt;');
+    });
+
+    it('should treat regex characters in terms literally', () => {
+      expect(highlight('Learn c++ today', ['c++'])).toBe('Learn <mark>c++</mark> today');
+    });
+
+    it('should return escaped text when there are no terms', () => {
+      expect(highlight('a < b', [])).toBe('a &lt; b');
+    });
+  });
+
+  describe('buildSnippet', () => {
+    const text = 'The quick brown fox jumps over the lazy dog while the farmer watches from the distant hill';
+
+    it('should centre the snippet on the first match with ellipses', () => {
+      const snippet = buildSnippet(text, ['lazy'], 15);
+
+      expect(snippet).toContain('<mark>lazy</mark>');
+      expect(snippet.startsWith('...')).toBe(true);
+      expect(snippet.endsWith('...')).toBe(true);
+    });
+
+    it('should not cut words at the snippet edges', () => {
+      const snippet = buildSnippet(text, ['lazy'], 15);
+      const plain = snippet.replace(/<\/?mark>/g, '').replace(/^\.\.\.|\.\.\.$/g, '');
+
+      plain.split(' ').forEach(word => {
+        expect(text.split(' ')).toContain(word);
+      });
+    });
+
+    it('should fall back to the start of the text when nothing matches', () => {
+      expect(buildSnippet(text, ['missing'], 10).startsWith('The quick')).toBe(true);
+    });
+
+    it('should return the whole text without ellipses when it is short', () => {
+      expect(buildSnippet('Short react text', ['react'])).toBe('Short <mark>react</mark> text');
+    });
+  });
+});
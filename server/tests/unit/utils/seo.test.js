@@ -0,0 +1,98 @@
+// tests/unit/utils/seo.test.js - Unit tests for SEO metadata helpers
+
+const { resolveSeoTitle, resolveSeoDescription, buildPostMeta } = require('../../../src/utils/seo');
+const { SITE_URL, SITE_NAME } = require('../../../src/config/env');
+
+/**
+ * Build a post-like object
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Post
+ */
+const makePost = (overrides = {}) => ({
+  title: 'Testing Express Apps',
+  slug: 'testing-express-apps',
+  excerpt: 'How to test an Express API with Jest and Supertest',
+  seoTitle: '',
+  seoDescription: '',
+  featuredImage: '',
+  tags: ['testing', 'express'],
+  wordCount: 850,
+  author: { username: 'jane', fullName: 'Jane Doe' },
+  category: { name: 'Backend', slug: 'backend' },
+  publishedAt: new Date('2024-03-01T12:00:00Z'),
+  createdAt: new Date('2024-02-28T08:00:00Z'),
+  updatedAt: new Date('2024-03-02T09:30:00Z'),
+  ...overrides,
+});
+
+describe('SEO Utils', () => {
+  describe('resolveSeoTitle', () => {
+    it('should prefer the explicit SEO title', () => {
+      expect(resolveSeoTitle(makePost({ seoTitle: 'Custom Title' }))).toBe('Custom Title');
+    });
+
+    it('should fall back to the post title within 60 characters', () => {
+      const title = resolveSeoTitle(makePost({ seoTitle: '  ', title: 'word '.repeat(20).trim() }));
+
+      expect(title.length).toBeLessThanOrEqual(60);
+      expect(title).toMatch(/word\.\.\.$/);
+    });
+  });
+
+  describe('resolveSeoDescription', () => {
+    it('should prefer the explicit SEO description', () => {
+      expect(resolveSeoDescription(makePost({ seoDescription: 'Custom' }))).toBe('Custom');
+    });
+
+    it('should fall back to the excerpt within 160 characters', () => {
+      const description = resolveSeoDescription(makePost({ excerpt: 'lorem '.repeat(50) }));
+
+      expect(description.length).toBeLessThanOrEqual(160);
+    });
+  });
+
+  describe('buildPostMeta', () => {
+    it('should build canonical, Open Graph, Twitter and JSON-LD fields', () => {
+      const meta = buildPostMeta(makePost());
+
+      expect(meta.canonicalUrl).toBe(`${SITE_URL}/posts/testing-express-apps`);
+      expect(meta.openGraph).toMatchObject({
+        'og:type': 'article',
+        'og:site_name': SITE_NAME,
+        'og:title': 'Testing Express Apps',
+        'article:published_time': '2024-03-01T12:00:00.000Z',
+        'article:modified_time': '2024-03-02T09:30:00.000Z',
+        'article:author': `${SITE_URL}/authors/jane`,
+        'article:section': 'Backend',
+        'article:tag': ['testing', 'express'],
+      });
+      expect(meta.twitter['twitter:card']).toBe('summary');
+      expect(meta.jsonLd).toMatchObject({
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: 'Testing Express Apps',
+        author: { '@type': 'Person', name: 'Jane Doe' },
+        keywords: 'testing, express',
+        wordCount: 850,
+      });
+    });
+
+    it('should make relative image URLs absolute and use large Twitter cards', () => {
+      const meta = buildPostMeta(
+        makePost({ featuredImage: '/uploads/posts/1/abc/original.webp' }),
+        { assetBaseUrl: 'https://api.example.com' }
+      );
+
+      expect(meta.openGraph['og:image']).toBe('https://api.example.com/uploads/posts/1/abc/original.webp');
+      expect(meta.twitter['twitter:card']).toBe('summary_large_image');
+      expect(meta.jsonLd.image).toBe('https://api.example.com/uploads/posts/1/abc/original.webp');
+    });
+
+    it('should omit image fields when there is no featured image', () => {
+      const meta = buildPostMeta(makePost());
+
+      expect(meta.openGraph).not.toHaveProperty('og:image');
+      expect(meta.jsonLd).not.toHaveProperty('image');
+    });
+  });
+});
@@ -0,0 +1,33 @@
+// tests/unit/utils/sitemap.test.js - Unit tests for sitemap builders
+
+const { buildUrlset, buildSitemapIndex } = require('../../../src/utils/sitemap');
+
+describe('Sitemap Utils', () => {
+  describe('buildUrlset', () => {
+    it('should list URLs with escaped locations and ISO lastmod', () => {
+      const xml = buildUrlset([
+        { loc: 'https://example.com/posts/a?x=1&y=2', lastmod: new Date('2024-01-02T03:04:05Z') },
+        { loc: 'https://example.com/authors/jane' },
+      ]);
+
+      expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(xml).toContain('<loc>https://example.com/posts/a?x=1&amp;y=2</loc>');
+      expect(xml).toContain('<lastmod>2024-01-02T03:04:05.000Z</lastmod>');
+      expect(xml.match(/<lastmod>/g)).toHaveLength(1);
+      expect(xml.match(/<url>/g)).toHaveLength(2);
+    });
+  });
+
+  describe('buildSitemapIndex', () => {
+    it('should list child sitemaps', () => {
+      const xml = buildSitemapIndex([
+        { loc: 'https://api.example.com/sitemaps/posts-1.xml' },
+        { loc: 'https://api.example.com/sitemaps/authors.xml' },
+      ]);
+
+      expect(xml).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(xml).toContain('<loc>https://api.example.com/sitemaps/posts-1.xml</loc>');
+      expect(xml.match(/<sitemap>/g)).toHaveLength(2);
+    });
+  });
+});
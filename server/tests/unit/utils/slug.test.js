@@ -0,0 +1,72 @@
+// tests/unit/utils/slug.test.js - Unit tests for slug utilities
+
+const { slugify, generateUniqueSlug } = require('../../../src/utils/slug');
+
+/**
+ * Build a model mock whose find() resolves to the given documents
+ * @param {Array<Object>} docs - Documents returned by the query
+ * @returns {Object} Model mock
+ */
+const mockModel = (docs) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(docs),
+  };
+  return { find: jest.fn().mockReturnValue(query) };
+};
+
+describe('Slug Utils', () => {
+  describe('slugify', () => {
+    it('should lowercase and hyphenate words', () => {
+      expect(slugify('Hello World')).toBe('hello-world');
+    });
+
+    it('should strip accents and punctuation', () => {
+      expect(slugify('  Crème Brûlée: A Recipe!  ')).toBe('creme-brulee-a-recipe');
+    });
+
+    it('should collapse repeated separators', () => {
+      expect(slugify('React -- Testing__Library')).toBe('react-testing-library');
+    });
+
+    it('should return an empty string when nothing usable remains', () => {
+      expect(slugify('!!!')).toBe('');
+      expect(slugify()).toBe('');
+    });
+  });
+
+  describe('generateUniqueSlug', () => {
+    it('should return the base slug when it is free', async () => {
+      const Model = mockModel([]);
+
+      await expect(generateUniqueSlug(Model, 'My Post')).resolves.toBe('my-post');
+    });
+
+    it('should append the next free numeric suffix on collision', async () => {
+      const Model = mockModel([{ slug: 'my-post' }, { slug: 'my-post-2' }]);
+
+      await expect(generateUniqueSlug(Model, 'My Post')).resolves.toBe('my-post-3');
+    });
+
+    it('should treat values in every listed field as taken', async () => {
+      const Model = mockModel([{ slug: 'other', previousSlugs: ['my-post'] }]);
+
+      await expect(generateUniqueSlug(Model, 'My Post', { fields: ['slug', 'previousSlugs'] }))
+        .resolves.toBe('my-post-2');
+    });
+
+    it('should exclude the document being saved', async () => {
+      const Model = mockModel([]);
+
+      await generateUniqueSlug(Model, 'My Post', { excludeId: 'abc' });
+
+      expect(Model.find).toHaveBeenCalledWith(expect.objectContaining({ _id: { $ne: 'abc' } }));
+    });
+
+    it('should use the fallback when the text has no usable characters', async () => {
+      const Model = mockModel([]);
+
+      await expect(generateUniqueSlug(Model, '???', { fallback: 'post' })).resolves.toBe('post');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+// tests/unit/utils/viewer.test.js - Unit tests for viewer identification utilities
+
+const { getViewerKey } = require('../../../src/utils/viewer');
+
+/**
+ * Build a minimal request mock
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Request mock
+ */
+const mockRequest = ({ user, ip = '127.0.0.1', userAgent = 'jest' } = {}) => ({
+  user,
+  ip,
+  get: jest.fn((header) => (header === 'User-Agent' ? userAgent : undefined)),
+});
+
+describe('Viewer Utils', () => {
+  describe('getViewerKey', () => {
+    it('should key authenticated users by id', () => {
+      const req = mockRequest({ user: { _id: '507f1f77bcf86cd799439011' } });
+
+      expect(getViewerKey(req)).toBe('user:507f1f77bcf86cd799439011');
+    });
+
+    it('should key anonymous visitors by a stable fingerprint', () => {
+      const first = getViewerKey(mockRequest());
+      const second = getViewerKey(mockRequest());
+
+      expect(first).toMatch(/^anon:[a-f0-9]{64}$/);
+      expect(first).toBe(second);
+    });
+
+    it('should distinguish anonymous visitors by IP and user agent', () => {
+      const base = getViewerKey(mockRequest());
+
+      expect(getViewerKey(mockRequest({ ip: '10.0.0.1' }))).not.toBe(base);
+      expect(getViewerKey(mockRequest({ userAgent: 'other-browser' }))).not.toBe(base);
+    });
+  });
+});